@@ -26,15 +26,58 @@ const tabButtons = document.querySelectorAll('.tab-btn');
 const tabPanels = document.querySelectorAll('.tab-panel');
 const deleteDisabledBtn = document.getElementById('deleteDisabledBtn');
 const usageRefreshBtn = document.getElementById('usageRefreshBtn');
+const usageTrendGranularitySelect = document.getElementById('usageTrendGranularity');
+const usageTrendGroupBySelect = document.getElementById('usageTrendGroupBy');
+const usageTrendMetricSelect = document.getElementById('usageTrendMetric');
+const usageTrendSummaryEl = document.getElementById('usageTrendSummary');
+const usageTrendChartEl = document.getElementById('usageTrendChart');
+const usageTrendLegendEl = document.getElementById('usageTrendLegend');
 const paginationInfo = document.getElementById('paginationInfo');
 const prevPageBtn = document.getElementById('prevPageBtn');
 const nextPageBtn = document.getElementById('nextPageBtn');
 const logPaginationInfo = document.getElementById('logPaginationInfo');
 const logPrevPageBtn = document.getElementById('logPrevPageBtn');
 const logNextPageBtn = document.getElementById('logNextPageBtn');
+const logAggregatesEl = document.getElementById('logAggregates');
+const logFilterApplyBtn = document.getElementById('logFilterApplyBtn');
+const logFilterResetBtn = document.getElementById('logFilterResetBtn');
+const logExportFormatSelect = document.getElementById('logExportFormat');
+const logExportDetailsCheckbox = document.getElementById('logExportDetails');
+const logExportBtn = document.getElementById('logExportBtn');
+// 调用日志筛选项：查询参数名 -> 输入框
+const logFilterInputs = {
+  from: document.getElementById('logFilterFrom'),
+  to: document.getElementById('logFilterTo'),
+  model: document.getElementById('logFilterModel'),
+  projectId: document.getElementById('logFilterProject'),
+  success: document.getElementById('logFilterSuccess'),
+  status: document.getElementById('logFilterStatus'),
+  path: document.getElementById('logFilterPath'),
+  keyName: document.getElementById('logFilterKey'),
+  q: document.getElementById('logFilterQuery')
+};
 const statusFilterSelect = document.getElementById('statusFilter');
 const errorFilterCheckbox = document.getElementById('errorFilter');
 const themeToggleBtn = document.getElementById('themeToggleBtn');
+const modelRoutesInput = document.getElementById('modelRoutesInput');
+const modelRoutesSaveBtn = document.getElementById('modelRoutesSaveBtn');
+const modelRoutesStatusEl = document.getElementById('modelRoutesStatus');
+const modelCapabilitiesInput = document.getElementById('modelCapabilitiesInput');
+const modelCapabilitiesSaveBtn = document.getElementById('modelCapabilitiesSaveBtn');
+const modelCapabilitiesStatusEl = document.getElementById('modelCapabilitiesStatus');
+const modelCapabilitiesListEl = document.getElementById('modelCapabilitiesList');
+const keysListEl = document.getElementById('keysList');
+const keysStatusEl = document.getElementById('keysStatus');
+const keysRefreshBtn = document.getElementById('keysRefreshBtn');
+const keyCreateBtn = document.getElementById('keyCreateBtn');
+const keyInputs = {
+  name: document.getElementById('keyNameInput'),
+  expiresAt: document.getElementById('keyExpiresInput'),
+  allowedModels: document.getElementById('keyModelsInput'),
+  allowedIps: document.getElementById('keyIpsInput'),
+  requestsPerHour: document.getElementById('keyRphInput'),
+  tokensPerDay: document.getElementById('keyTpdInput')
+};
 
 const HOUR_WINDOW_MINUTES = 60;
 const HOURLY_LIMIT = 20;
@@ -46,12 +89,16 @@ let currentPage = 1;
 const LOG_PAGE_SIZE = 20;
 let logsData = [];
 let logCurrentPage = 1;
+let logCursors = [null]; // 第 N 页对应的游标为 logCursors[N - 1]
+let logNextCursor = null;
 let statusFilter = 'all';
 let errorOnly = false;
 const logDetailCache = new Map();
 
 let logLevelSelect = null;
 let replaceIndex = null;
+let keysData = [];
+let editingKeyId = null;
 
 if (window.AgTheme) {
   window.AgTheme.initTheme();
@@ -114,6 +161,19 @@ function getAccountDisplayName(acc) {
   return '未知账号';
 }
 
+function renderCooldowns(account) {
+  const cooldowns = Array.isArray(account.cooldowns) ? account.cooldowns : [];
+  if (cooldowns.length === 0) return '';
+  const chips = cooldowns
+    .map(item => {
+      const until = new Date(item.until).toLocaleString();
+      const reason = item.reason ? `（${escapeHtml(item.reason)}）` : '';
+      return `<span class="chip chip-warning" title="冷却至 ${until}${reason}">${escapeHtml(item.family)} 冷却至 ${until}</span>`;
+    })
+    .join(' ');
+  return `<div class="usage-row"><span>模型冷却</span><strong>${chips}</strong></div>`;
+}
+
 function renderUsageCard(account) {
   const { usage = {} } = account;
   const models = usage.models && usage.models.length > 0 ? usage.models.join(', ') : '暂无数据';
@@ -124,6 +184,7 @@ function renderUsageCard(account) {
       <div class="usage-row"><span>成功 / 失败</span><strong>${usage.success || 0} / ${usage.failed || 0}</strong></div>
       <div class="usage-row"><span>最近使用</span><strong>${lastUsed}</strong></div>
       <div class="usage-row"><span>使用过的模型</span><strong>${models}</strong></div>
+      ${renderCooldowns(account)}
     </div>
   `;
 }
@@ -204,6 +265,34 @@ function bindAccountActions() {
     });
   });
 
+  document.querySelectorAll('[data-action="setWeight"]')?.forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const idx = btn.dataset.index;
+      const input = prompt('设置账号权重（正数，weighted 策略下按权重比例分配请求）', btn.dataset.weight || '1');
+      if (input === null) return;
+      const weight = Number(input);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        setStatus('权重必须为正数', 'error', manageStatusEl);
+        return;
+      }
+      btn.disabled = true;
+      setStatus('正在更新账号权重...', 'info', manageStatusEl);
+      try {
+        await fetchJson(`/auth/accounts/${idx}/weight`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ weight })
+        });
+        setStatus('账号权重已更新', 'success', manageStatusEl);
+        refreshAccounts();
+      } catch (e) {
+        setStatus('更新权重失败: ' + e.message, 'error', manageStatusEl);
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  });
+
   document.querySelectorAll('[data-action="delete"]')?.forEach(btn => {
     btn.addEventListener('click', async () => {
       const idx = btn.dataset.index;
@@ -523,6 +612,9 @@ function renderAccountsList() {
               <div class="action-row secondary">
                 <button class="mini-btn" data-action="refreshProjectId" data-index="${acc.index}">🔄 刷新项目ID</button>
                 <button class="mini-btn" data-action="toggleQuota" data-index="${acc.index}">📊 查看额度</button>
+                <button class="mini-btn" data-action="setWeight" data-weight="${acc.weight ?? 1}" data-index="${acc.index}">⚖️ 权重 ${
+        acc.weight ?? 1
+      }</button>
               </div>
             </div>
             <div class="quota-section" id="quota-${acc.index}" style="display: none;">
@@ -664,6 +756,105 @@ async function loadSettings() {
   }
 }
 
+async function loadModelRoutes() {
+  if (!modelRoutesInput) return;
+  try {
+    const data = await fetchJson('/admin/model-routes');
+    modelRoutesInput.value = JSON.stringify(data.routes || [], null, 2);
+  } catch (e) {
+    setStatus('加载模型路由失败: ' + e.message, 'error', modelRoutesStatusEl);
+  }
+}
+
+async function saveModelRoutes() {
+  let routes;
+  try {
+    routes = JSON.parse(modelRoutesInput.value || '[]');
+  } catch (e) {
+    setStatus('JSON 格式错误: ' + e.message, 'error', modelRoutesStatusEl);
+    return;
+  }
+
+  modelRoutesSaveBtn.disabled = true;
+  try {
+    const data = await fetchJson('/admin/model-routes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ routes })
+    });
+    modelRoutesInput.value = JSON.stringify(data.routes || [], null, 2);
+    setStatus(`已保存 ${data.routes?.length || 0} 条路由`, 'success', modelRoutesStatusEl);
+  } catch (e) {
+    setStatus('保存模型路由失败: ' + e.message, 'error', modelRoutesStatusEl);
+  } finally {
+    modelRoutesSaveBtn.disabled = false;
+  }
+}
+
+function renderModelCapabilities(models = []) {
+  if (!modelCapabilitiesListEl) return;
+  if (models.length === 0) {
+    modelCapabilitiesListEl.innerHTML = '<div class="usage-row"><span>暂无上游模型数据，获取模型列表或额度后显示</span></div>';
+    return;
+  }
+  const flag = (enabled, label) => (enabled ? `<span class="chip chip-info">${label}</span>` : '');
+  modelCapabilitiesListEl.innerHTML = models
+    .map(item => {
+      const budget = item.thinking
+        ? `<span class="chip">思维预算 ${item.defaultThinkingBudget}${item.maxThinkingBudget ? ` / ${item.maxThinkingBudget}` : ''}</span>`
+        : '';
+      const context = item.contextWindow ? `<span class="chip">上下文 ${item.contextWindow}</span>` : '';
+      const chips = [
+        flag(item.thinking, '思维链'),
+        budget,
+        flag(item.tools, '工具'),
+        flag(item.vision, '识图'),
+        flag(item.imageOutput, '生图'),
+        item.thinking && !item.topPWithThinking ? '<span class="chip chip-warning">思维链下不带 top_p</span>' : '',
+        context
+      ].filter(Boolean).join(' ');
+      return `<div class="usage-row"><span>${escapeHtml(item.id)}</span><strong>${chips || '-'}</strong></div>`;
+    })
+    .join('');
+}
+
+async function loadModelCapabilities() {
+  if (!modelCapabilitiesInput) return;
+  try {
+    const data = await fetchJson('/admin/model-capabilities');
+    modelCapabilitiesInput.value = JSON.stringify(data.overrides || {}, null, 2);
+    renderModelCapabilities(data.models);
+  } catch (e) {
+    setStatus('加载模型能力失败: ' + e.message, 'error', modelCapabilitiesStatusEl);
+  }
+}
+
+async function saveModelCapabilities() {
+  let overrides;
+  try {
+    overrides = JSON.parse(modelCapabilitiesInput.value || '{}');
+  } catch (e) {
+    setStatus('JSON 格式错误: ' + e.message, 'error', modelCapabilitiesStatusEl);
+    return;
+  }
+
+  modelCapabilitiesSaveBtn.disabled = true;
+  try {
+    const data = await fetchJson('/admin/model-capabilities', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ overrides })
+    });
+    modelCapabilitiesInput.value = JSON.stringify(data.overrides || {}, null, 2);
+    renderModelCapabilities(data.models);
+    setStatus(`已保存 ${Object.keys(data.overrides || {}).length} 条覆盖`, 'success', modelCapabilitiesStatusEl);
+  } catch (e) {
+    setStatus('保存模型能力失败: ' + e.message, 'error', modelCapabilitiesStatusEl);
+  } finally {
+    modelCapabilitiesSaveBtn.disabled = false;
+  }
+}
+
 async function updateSettingValue({ key, label, isSensitive, currentValue }) {
   if (!key) return;
 
@@ -761,17 +952,58 @@ function initLogSettingsUI() {
   loadLogSettings();
 }
 
-async function loadLogs() {
+function buildLogQuery(cursor) {
+  const params = new URLSearchParams({ limit: String(LOG_PAGE_SIZE) });
+  Object.entries(logFilterInputs).forEach(([name, input]) => {
+    const value = input?.value?.trim();
+    if (!value) return;
+    // datetime-local 为本地时间，转成 ISO 交给服务端
+    params.set(name, input.type === 'datetime-local' ? new Date(value).toISOString() : value);
+  });
+  if (cursor) params.set('cursor', cursor);
+  return params.toString();
+}
+
+function renderLogAggregates(aggregates) {
+  if (!logAggregatesEl) return;
+  if (!aggregates || !aggregates.total) {
+    logAggregatesEl.innerHTML = '';
+    return;
+  }
+  const topEntries = (counts, size) =>
+    Object.entries(counts || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, size)
+      .map(([name, count]) => `<span class="chip">${escapeHtml(name)} × ${count}</span>`)
+      .join('');
+  logAggregatesEl.innerHTML = [
+    `<span class="chip chip-info">共 ${aggregates.total} 条</span>`,
+    `<span class="chip chip-success">成功 ${aggregates.success}</span>`,
+    aggregates.failed ? `<span class="chip chip-warning">失败 ${aggregates.failed}</span>` : '',
+    aggregates.avgDurationMs !== null ? `<span class="chip">平均耗时 ${aggregates.avgDurationMs} ms</span>` : '',
+    aggregates.totalTokens ? `<span class="chip">Tokens ${aggregates.totalTokens}</span>` : '',
+    topEntries(aggregates.statuses, 5),
+    topEntries(aggregates.models, 5)
+  ].filter(Boolean).join('');
+}
+
+// resetPage 为 true 时回到第一页（刷新、修改筛选条件）
+async function loadLogs({ resetPage = true } = {}) {
   if (!logsEl) return;
+  if (resetPage) {
+    logCurrentPage = 1;
+    logCursors = [null];
+  }
   logsEl.textContent = '加载中...';
   if (logPaginationInfo) logPaginationInfo.textContent = '加载中...';
   if (logPrevPageBtn) logPrevPageBtn.disabled = true;
   if (logNextPageBtn) logNextPageBtn.disabled = true;
   try {
-    const data = await fetchJson('/admin/logs?limit=200');
+    const data = await fetchJson(`/admin/logs?${buildLogQuery(logCursors[logCurrentPage - 1])}`);
     logsData = data.logs || [];
-    logCurrentPage = 1;
-    renderLogs();
+    logNextCursor = data.nextCursor || null;
+    renderLogAggregates(data.aggregates);
+    renderLogs(data.aggregates?.total ?? logsData.length);
   } catch (e) {
     logsEl.textContent = '加载日志失败: ' + e.message;
     if (logPaginationInfo) logPaginationInfo.textContent = '';
@@ -925,7 +1157,105 @@ function bindLogDetailToggles() {
   });
 }
 
-function renderLogs() {
+function renderReplaySide(title, side) {
+  const meta = [
+    side.status ? `HTTP ${side.status}` : '',
+    side.success === false ? '失败' : '成功',
+    side.model ? `模型：${escapeHtml(side.model)}` : '',
+    side.projectId ? `项目：${escapeHtml(side.projectId)}` : '',
+    side.durationMs !== null && side.durationMs !== undefined ? `${side.durationMs} ms` : ''
+  ].filter(Boolean).join(' | ');
+  const message = side.success === false && side.message
+    ? `<div class="log-error-hint">失败原因：${escapeHtml(side.message)}</div>`
+    : '';
+  return `
+    <div class="log-detail-block">
+      <h4>${title}</h4>
+      <div class="log-meta">${meta}</div>
+      ${message}
+      <pre>${formatJson(side.output ?? '暂无输出')}</pre>
+    </div>
+  `;
+}
+
+function renderReplayForm(container, logId, model) {
+  container.innerHTML = `
+    <div class="replay-form">
+      <label class="filter-field">
+        <span>账号</span>
+        <input type="text" class="input replay-project" placeholder="projectId，留空自动选择" />
+      </label>
+      <label class="filter-field">
+        <span>模型</span>
+        <input type="text" class="input replay-model" value="${escapeHtml(model || '')}" />
+      </label>
+      <textarea class="textarea replay-params" rows="3" placeholder='覆盖参数（JSON，浅合并到请求体），如 { "temperature": 0.2 }'></textarea>
+      <button class="mini-btn replay-run">▶ 执行重放</button>
+    </div>
+    <div class="replay-result"></div>
+  `;
+
+  const runBtn = container.querySelector('.replay-run');
+  const resultEl = container.querySelector('.replay-result');
+  runBtn.addEventListener('click', async () => {
+    const projectId = container.querySelector('.replay-project').value.trim();
+    const replayModel = container.querySelector('.replay-model').value.trim();
+    const rawParams = container.querySelector('.replay-params').value.trim();
+    let params;
+    try {
+      params = rawParams ? JSON.parse(rawParams) : undefined;
+    } catch (e) {
+      resultEl.textContent = '覆盖参数 JSON 格式错误: ' + e.message;
+      return;
+    }
+
+    runBtn.disabled = true;
+    resultEl.textContent = '重放中...';
+    try {
+      const data = await fetchJson(`/admin/logs/${logId}/replay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(projectId ? { projectId } : {}),
+          ...(replayModel && replayModel !== model ? { model: replayModel } : {}),
+          ...(params ? { params } : {})
+        })
+      });
+      resultEl.innerHTML = `
+        <div class="replay-compare">
+          ${renderReplaySide('原始响应', data.original)}
+          ${renderReplaySide('重放响应', data.replay)}
+        </div>
+      `;
+    } catch (e) {
+      resultEl.textContent = '重放失败: ' + e.message;
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+}
+
+function bindLogReplayToggles() {
+  document.querySelectorAll('.log-replay-toggle')?.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const container = document.getElementById(btn.dataset.replayTarget);
+      if (!container) return;
+      if (container.classList.contains('open')) {
+        container.classList.remove('open');
+        btn.textContent = '重放';
+        return;
+      }
+      if (!container.dataset.ready) {
+        renderReplayForm(container, btn.dataset.logId, btn.dataset.model);
+        container.dataset.ready = 'true';
+      }
+      container.classList.add('open');
+      btn.textContent = '收起重放';
+    });
+  });
+}
+
+function renderLogs(total = logsData.length) {
   if (!logsEl) return;
 
   if (!logsData.length) {
@@ -936,20 +1266,23 @@ function renderLogs() {
     return;
   }
 
-  const totalPages = Math.max(1, Math.ceil(logsData.length / LOG_PAGE_SIZE));
-  logCurrentPage = Math.min(Math.max(logCurrentPage, 1), totalPages);
+  const totalPages = Math.max(1, Math.ceil(total / LOG_PAGE_SIZE));
   const start = (logCurrentPage - 1) * LOG_PAGE_SIZE;
-  const pageItems = logsData.slice(start, start + LOG_PAGE_SIZE);
 
-  logsEl.innerHTML = pageItems
+  logsEl.innerHTML = logsData
     .map((log, idx) => {
       const time = log.timestamp ? new Date(log.timestamp).toLocaleString() : '未知时间';
-      const cls = log.success ? 'log-success' : 'log-fail';
-      const hasError = !log.success;
+      const cls = log.success ? 'log-success' : log.cancelled ? 'log-cancelled' : 'log-fail';
+      const hasError = !log.success && !log.cancelled;
       const detailId = `log-detail-${start + idx}`;
       const errorDetailId = `log-error-${start + idx}`;
-      const statusText = log.status ? `HTTP ${log.status}` : log.success ? '成功' : '失败';
+      const resultText = log.success ? '成功' : log.cancelled ? '已取消' : '失败';
+      const statusText = log.status ? `HTTP ${log.status}` : resultText;
       const durationText = log.durationMs ? `${log.durationMs} ms` : '未知耗时';
+      const queueText = log.queueDepth ? ` | 排队 ${log.queueWaitMs || 0} ms（第 ${log.queueDepth} 位）` : '';
+      const tokenText = log.totalTokens
+        ? ` | tokens ${log.totalTokens}${log.promptTokens !== undefined ? `（输入 ${log.promptTokens} / 输出 ${log.completionTokens}${log.reasoningTokens ? `，思考 ${log.reasoningTokens}` : ''}）` : ''}`
+        : '';
       const pathText = `${log.method || '未知方法'} ${log.path || log.route || '未知路径'}`;
       const errorHint = hasError && log.message ? `<div class="log-error-hint">失败原因：${escapeHtml(log.message)}</div>` : '';
       const detailButton =
@@ -958,6 +1291,13 @@ function renderLogs() {
              <div class="log-detail" id="${detailId}"></div>`
           : '';
 
+      const replayId = `log-replay-${start + idx}`;
+      const replayButton =
+        log.hasDetail && log.id
+          ? `<button class="mini-btn log-replay-toggle" data-log-id="${log.id}" data-model="${escapeHtml(log.model || '')}" data-replay-target="${replayId}">重放</button>
+             <div class="log-detail log-replay" id="${replayId}"></div>`
+          : '';
+
       const errorButton =
         hasError && log.id
           ? `<button class="mini-btn log-error-toggle" data-log-id="${log.id}" data-error-target="${errorDetailId}">查看错误</button>
@@ -970,23 +1310,25 @@ function renderLogs() {
             <div class="log-time">${time}</div>
             <div class="log-meta">模型：${log.model || '未知模型'} | 项目：${log.projectId || '未知项目'}</div>
             <div class="log-meta">${pathText}</div>
-            <div class="log-meta">${statusText} | ${durationText}</div>
+            <div class="log-meta">${statusText} | ${durationText}${queueText}${tokenText}</div>
             ${errorHint}
             ${errorButton}
             ${detailButton}
+            ${replayButton}
           </div>
-          <div class="log-status">${log.success ? '成功' : '失败'}</div>
+          <div class="log-status">${resultText}</div>
         </div>
       `;
     })
     .join('');
 
   if (logPaginationInfo) {
-    logPaginationInfo.textContent = `第 ${logCurrentPage} / ${totalPages} 页，共 ${logsData.length} 条`;
+    logPaginationInfo.textContent = `第 ${logCurrentPage} / ${totalPages} 页，共 ${total} 条`;
   }
   if (logPrevPageBtn) logPrevPageBtn.disabled = logCurrentPage === 1;
-  if (logNextPageBtn) logNextPageBtn.disabled = logCurrentPage === totalPages;
+  if (logNextPageBtn) logNextPageBtn.disabled = !logNextCursor;
   bindLogDetailToggles();
+  bindLogReplayToggles();
 }
 
 async function loadHourlyUsage() {
@@ -1084,6 +1426,301 @@ async function loadHourlyUsage() {
   }
 }
 
+const USAGE_TREND_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#94a3b8'];
+const USAGE_TREND_TOP_GROUPS = 5;
+let usageTrendData = null;
+
+function formatTokenCount(value = 0) {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return String(value);
+}
+
+function formatTrendBucket(bucket, granularity) {
+  if (granularity === 'hour') {
+    return `${String(new Date(bucket.timestamp).getHours()).padStart(2, '0')}:00`;
+  }
+  return bucket.bucket.slice(5);
+}
+
+// 堆叠柱状图：取所选指标最高的前几个分组，其余合并为“其他”
+function renderUsageTrends() {
+  if (!usageTrendChartEl || !usageTrendData) return;
+  const metric = usageTrendMetricSelect?.value || 'totalTokens';
+  const { granularity, buckets = [], groups = [], totals = {} } = usageTrendData;
+
+  if (usageTrendSummaryEl) {
+    usageTrendSummaryEl.innerHTML = [
+      `<span class="chip chip-info">请求 ${totals.requests || 0}</span>`,
+      `<span class="chip chip-success">成功 ${totals.success || 0}</span>`,
+      totals.failed ? `<span class="chip chip-warning">失败 ${totals.failed}</span>` : '',
+      `<span class="chip">输入 ${formatTokenCount(totals.promptTokens)}</span>`,
+      `<span class="chip">输出 ${formatTokenCount(totals.completionTokens)}</span>`,
+      totals.reasoningTokens ? `<span class="chip">其中思考 ${formatTokenCount(totals.reasoningTokens)}</span>` : '',
+      `<span class="chip">总计 ${formatTokenCount(totals.totalTokens)}</span>`
+    ].filter(Boolean).join('');
+  }
+
+  const ranked = groups.filter(group => group[metric] > 0).sort((a, b) => b[metric] - a[metric]);
+  const topKeys = ranked.slice(0, USAGE_TREND_TOP_GROUPS).map(group => group.key);
+  const hasOther = ranked.length > topKeys.length;
+  const series = hasOther ? [...topKeys, '其他'] : topKeys;
+  const stacks = buckets.map(bucket => {
+    const values = topKeys.map(key => bucket.groups?.[key]?.[metric] || 0);
+    if (hasOther) values.push(Math.max((bucket[metric] || 0) - values.reduce((sum, value) => sum + value, 0), 0));
+    return values;
+  });
+  const max = Math.max(0, ...stacks.map(values => values.reduce((sum, value) => sum + value, 0)));
+
+  if (!max) {
+    usageTrendChartEl.textContent = '所选时间范围内暂无用量';
+    if (usageTrendLegendEl) usageTrendLegendEl.innerHTML = '';
+    return;
+  }
+
+  const width = 800;
+  const height = 220;
+  const padLeft = 48;
+  const padTop = 8;
+  const padBottom = 24;
+  const plotWidth = width - padLeft - 8;
+  const plotHeight = height - padTop - padBottom;
+  const slot = plotWidth / buckets.length;
+  const barWidth = Math.max(slot * 0.7, 2);
+  const labelEvery = Math.ceil(buckets.length / 12);
+  const toY = value => padTop + plotHeight - (value / max) * plotHeight;
+
+  const gridLines = [0, 0.5, 1].map(ratio => {
+    const y = toY(max * ratio);
+    return `<line class="grid-line" x1="${padLeft}" x2="${width - 8}" y1="${y}" y2="${y}" />
+      <text class="axis-label" x="${padLeft - 6}" y="${y + 3}" text-anchor="end">${formatTokenCount(Math.round(max * ratio))}</text>`;
+  }).join('');
+
+  const bars = buckets.map((bucket, index) => {
+    const x = padLeft + index * slot + (slot - barWidth) / 2;
+    const label = formatTrendBucket(bucket, granularity);
+    let offset = 0;
+    const rects = stacks[index].map((value, seriesIndex) => {
+      if (!value) return '';
+      const top = toY(offset + value);
+      const rectHeight = toY(offset) - top;
+      offset += value;
+      return `<rect x="${x}" y="${top}" width="${barWidth}" height="${rectHeight}" fill="${USAGE_TREND_COLORS[seriesIndex % USAGE_TREND_COLORS.length]}">
+        <title>${escapeHtml(bucket.bucket)} · ${escapeHtml(series[seriesIndex])}：${value}</title>
+      </rect>`;
+    }).join('');
+    const axisLabel = index % labelEvery === 0
+      ? `<text class="axis-label" x="${x + barWidth / 2}" y="${height - 8}" text-anchor="middle">${escapeHtml(label)}</text>`
+      : '';
+    return rects + axisLabel;
+  }).join('');
+
+  usageTrendChartEl.innerHTML = `<svg viewBox="0 0 ${width} ${height}" role="img">${gridLines}${bars}</svg>`;
+  if (usageTrendLegendEl) {
+    usageTrendLegendEl.innerHTML = series.map((name, index) => {
+      const group = ranked.find(item => item.key === name);
+      const value = group ? group[metric] : ranked.slice(topKeys.length).reduce((sum, item) => sum + item[metric], 0);
+      return `<span class="chip"><span class="legend-swatch" style="background:${USAGE_TREND_COLORS[index % USAGE_TREND_COLORS.length]}"></span>${escapeHtml(name)} · ${formatTokenCount(value)}</span>`;
+    }).join('');
+  }
+}
+
+async function loadUsageTrends() {
+  if (!usageTrendChartEl) return;
+  const params = new URLSearchParams({
+    granularity: usageTrendGranularitySelect?.value || 'day',
+    groupBy: usageTrendGroupBySelect?.value || 'model'
+  });
+  try {
+    usageTrendData = await fetchJson(`/admin/usage/trends?${params.toString()}`);
+    renderUsageTrends();
+  } catch (e) {
+    usageTrendChartEl.textContent = '加载用量趋势失败: ' + e.message;
+  }
+}
+
+// ===== API 密钥 =====
+
+function toDatetimeLocal(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function readKeyForm() {
+  return {
+    name: keyInputs.name.value.trim(),
+    expiresAt: keyInputs.expiresAt.value ? new Date(keyInputs.expiresAt.value).toISOString() : '',
+    allowedModels: keyInputs.allowedModels.value,
+    allowedIps: keyInputs.allowedIps.value,
+    requestsPerHour: Number(keyInputs.requestsPerHour.value) || 0,
+    tokensPerDay: Number(keyInputs.tokensPerDay.value) || 0
+  };
+}
+
+function resetKeyForm(entry = null) {
+  editingKeyId = entry?.id || null;
+  keyInputs.name.value = entry?.name || '';
+  keyInputs.expiresAt.value = toDatetimeLocal(entry?.expiresAt);
+  keyInputs.allowedModels.value = (entry?.allowedModels || []).join(', ');
+  keyInputs.allowedIps.value = (entry?.allowedIps || []).join(', ');
+  keyInputs.requestsPerHour.value = entry?.requestsPerHour || 0;
+  keyInputs.tokensPerDay.value = entry?.tokensPerDay || 0;
+  keyCreateBtn.textContent = entry ? `💾 保存 ${entry.name}` : '➕ 创建密钥';
+}
+
+function renderKeyUsage(usage = {}) {
+  const lastUsedText = usage.lastUsedAt ? new Date(usage.lastUsedAt).toLocaleString() : '暂无';
+  return `
+    <div class="usage-row"><span>累计调用</span><strong>${usage.total || 0}（成功 ${usage.success || 0} / 失败 ${usage.failed || 0}）</strong></div>
+    <div class="usage-row"><span>累计 tokens</span><strong>${usage.totalTokens || 0}</strong></div>
+    <div class="usage-row"><span>最近使用</span><strong>${escapeHtml(lastUsedText)}</strong></div>
+  `;
+}
+
+function renderKeys(master) {
+  if (!keysListEl) return;
+  const masterCard = master
+    ? `
+      <div class="account-item">
+        <div class="account-header">
+          <div class="account-info">
+            <div class="account-title">${escapeHtml(master.name)} <span class="badge">主密钥</span></div>
+            <div class="account-meta">环境变量 API_KEY，不受以下限制</div>
+          </div>
+        </div>
+        <div class="account-content"><div class="account-data"><div class="usage">${renderKeyUsage(master.usage)}</div></div></div>
+      </div>`
+    : '';
+
+  const cards = keysData.map(entry => {
+    const expired = entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now();
+    const statusClass = entry.enabled && !expired ? 'status-ok' : 'status-off';
+    const statusText = !entry.enabled ? '已停用' : expired ? '已过期' : '启用中';
+    const expiresText = entry.expiresAt ? new Date(entry.expiresAt).toLocaleString() : '永不过期';
+    const models = entry.allowedModels?.length ? entry.allowedModels.map(escapeHtml).join(', ') : '不限';
+    const ips = entry.allowedIps?.length ? entry.allowedIps.map(escapeHtml).join(', ') : '不限';
+    const rph = entry.requestsPerHour ? `${entry.requestsLastHour || 0} / ${entry.requestsPerHour}` : `${entry.requestsLastHour || 0} / 不限`;
+    const tpd = entry.tokensPerDay ? `${entry.tokensToday || 0} / ${entry.tokensPerDay}` : `${entry.tokensToday || 0} / 不限`;
+    return `
+      <div class="account-item">
+        <div class="account-header">
+          <div class="account-info">
+            <div class="account-title">${escapeHtml(entry.name)}</div>
+            <div class="account-meta key-value">${escapeHtml(entry.key)}</div>
+            <div class="account-meta">过期时间：${escapeHtml(expiresText)}</div>
+          </div>
+          <div class="account-status">
+            <div class="status-pill ${statusClass}">${statusText}</div>
+          </div>
+        </div>
+        <div class="account-content">
+          <div class="account-data">
+            <div class="usage">
+              <div class="usage-row"><span>允许的模型</span><strong>${models}</strong></div>
+              <div class="usage-row"><span>允许的 IP</span><strong>${ips}</strong></div>
+              <div class="usage-row"><span>最近一小时请求</span><strong>${rph}</strong></div>
+              <div class="usage-row"><span>今日 tokens</span><strong>${tpd}</strong></div>
+              ${renderKeyUsage(entry.usage)}
+            </div>
+          </div>
+          <div class="account-actions">
+            <div class="action-row secondary">
+              <button class="mini-btn" data-key-action="copy" data-id="${entry.id}">📋 复制</button>
+              <button class="mini-btn" data-key-action="edit" data-id="${entry.id}">✏️ 编辑</button>
+              <button class="mini-btn" data-key-action="toggle" data-id="${entry.id}">${entry.enabled ? '⏸️ 停用' : '▶️ 启用'}</button>
+              <button class="mini-btn danger" data-key-action="delete" data-id="${entry.id}">🗑️ 删除</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  });
+
+  keysListEl.innerHTML = masterCard + (cards.length ? cards.join('') : '<p>暂无额外的 API 密钥。</p>');
+}
+
+async function loadKeys() {
+  if (!keysListEl) return;
+  try {
+    const data = await fetchJson('/admin/keys');
+    keysData = data.keys || [];
+    renderKeys(data.master);
+  } catch (e) {
+    keysListEl.textContent = '加载 API 密钥失败: ' + e.message;
+  }
+}
+
+async function saveKeyForm() {
+  const payload = readKeyForm();
+  if (!payload.name) {
+    setStatus('请填写名称', 'error', keysStatusEl);
+    return;
+  }
+  keyCreateBtn.disabled = true;
+  try {
+    const url = editingKeyId ? `/admin/keys/${editingKeyId}` : '/admin/keys';
+    const data = await fetchJson(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    setStatus(editingKeyId ? '密钥已更新' : `密钥已创建：${data.key?.key || ''}`, 'success', keysStatusEl);
+    resetKeyForm();
+    await loadKeys();
+  } catch (e) {
+    setStatus('保存失败: ' + e.message, 'error', keysStatusEl);
+  } finally {
+    keyCreateBtn.disabled = false;
+  }
+}
+
+async function handleKeyAction(btn) {
+  const entry = keysData.find(item => item.id === btn.dataset.id);
+  if (!entry) return;
+  const action = btn.dataset.keyAction;
+
+  if (action === 'edit') {
+    resetKeyForm(entry);
+    keyInputs.name.focus();
+    return;
+  }
+
+  if (action === 'copy') {
+    try {
+      await navigator.clipboard.writeText(entry.key);
+      setStatus(`已复制 ${entry.name} 的密钥`, 'success', keysStatusEl);
+    } catch (e) {
+      setStatus('复制失败: ' + e.message, 'error', keysStatusEl);
+    }
+    return;
+  }
+
+  if (action === 'delete' && !confirm(`确认删除密钥 ${entry.name} 吗？使用该密钥的客户端将无法继续访问`)) return;
+
+  btn.disabled = true;
+  try {
+    if (action === 'delete') {
+      await fetchJson(`/admin/keys/${entry.id}`, { method: 'DELETE' });
+      if (editingKeyId === entry.id) resetKeyForm();
+      setStatus('密钥已删除', 'success', keysStatusEl);
+    } else if (action === 'toggle') {
+      await fetchJson(`/admin/keys/${entry.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !entry.enabled })
+      });
+      setStatus(entry.enabled ? '密钥已停用' : '密钥已启用', 'success', keysStatusEl);
+    }
+    await loadKeys();
+  } catch (e) {
+    setStatus('操作失败: ' + e.message, 'error', keysStatusEl);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
 if (loginBtn) {
   loginBtn.addEventListener('click', async () => {
     try {
@@ -1199,18 +1836,49 @@ if (nextPageBtn) {
 if (logPrevPageBtn) {
   logPrevPageBtn.addEventListener('click', () => {
     logCurrentPage = Math.max(1, logCurrentPage - 1);
-    renderLogs();
+    loadLogs({ resetPage: false });
   });
 }
 
 if (logNextPageBtn) {
   logNextPageBtn.addEventListener('click', () => {
-    const totalPages = Math.max(1, Math.ceil(logsData.length / LOG_PAGE_SIZE));
-    logCurrentPage = Math.min(totalPages, logCurrentPage + 1);
-    renderLogs();
+    if (!logNextCursor) return;
+    logCursors[logCurrentPage] = logNextCursor;
+    logCurrentPage += 1;
+    loadLogs({ resetPage: false });
+  });
+}
+
+if (logFilterApplyBtn) {
+  logFilterApplyBtn.addEventListener('click', () => loadLogs());
+}
+
+// 导出沿用当前筛选条件，由浏览器直接下载附件
+if (logExportBtn) {
+  logExportBtn.addEventListener('click', () => {
+    const params = new URLSearchParams(buildLogQuery());
+    params.delete('limit');
+    params.set('format', logExportFormatSelect?.value || 'jsonl');
+    if (logExportDetailsCheckbox?.checked) params.set('details', 'true');
+    window.location.href = `/admin/logs/export?${params.toString()}`;
+  });
+}
+
+if (logFilterResetBtn) {
+  logFilterResetBtn.addEventListener('click', () => {
+    Object.values(logFilterInputs).forEach(input => {
+      if (input) input.value = '';
+    });
+    loadLogs();
   });
 }
 
+Object.values(logFilterInputs).forEach(input => {
+  input?.addEventListener('keydown', event => {
+    if (event.key === 'Enter') loadLogs();
+  });
+});
+
 if (statusFilterSelect) {
   statusFilterSelect.addEventListener('change', () => {
     statusFilter = statusFilterSelect.value || 'all';
@@ -1294,9 +1962,7 @@ if (logsClearBtn) {
         headers: { 'Content-Type': 'application/json' }
       });
       setStatus('调用日志已清空', 'success', statusEl);
-      logsData = [];
-      logCurrentPage = 1;
-      renderLogs();
+      await loadLogs();
       await loadHourlyUsage();
     } catch (e) {
       setStatus('清空日志失败: ' + e.message, 'error', statusEl);
@@ -1312,7 +1978,7 @@ if (usageRefreshBtn) {
     try {
       usageRefreshBtn.disabled = true;
       usageRefreshBtn.textContent = '刷新中...';
-      await loadHourlyUsage();
+      await Promise.all([loadHourlyUsage(), loadUsageTrends()]);
       setStatus('用量已刷新', 'success', usageStatusEl);
     } catch (e) {
       setStatus('刷新用量失败: ' + e.message, 'error', usageStatusEl);
@@ -1323,6 +1989,43 @@ if (usageRefreshBtn) {
   });
 }
 
+[usageTrendGranularitySelect, usageTrendGroupBySelect].forEach(select => {
+  select?.addEventListener('change', loadUsageTrends);
+});
+usageTrendMetricSelect?.addEventListener('change', renderUsageTrends);
+
+if (keysRefreshBtn) {
+  keysRefreshBtn.addEventListener('click', async () => {
+    try {
+      keysRefreshBtn.disabled = true;
+      keysRefreshBtn.textContent = '刷新中...';
+      await loadKeys();
+    } finally {
+      keysRefreshBtn.textContent = '🔄 刷新列表';
+      keysRefreshBtn.disabled = false;
+    }
+  });
+}
+
+if (modelRoutesSaveBtn) {
+  modelRoutesSaveBtn.addEventListener('click', saveModelRoutes);
+}
+
+if (modelCapabilitiesSaveBtn) {
+  modelCapabilitiesSaveBtn.addEventListener('click', saveModelCapabilities);
+}
+
+if (keyCreateBtn) {
+  keyCreateBtn.addEventListener('click', saveKeyForm);
+}
+
+if (keysListEl) {
+  keysListEl.addEventListener('click', event => {
+    const btn = event.target.closest('[data-key-action]');
+    if (btn) handleKeyAction(btn);
+  });
+}
+
 if (settingsRefreshBtn) {
   settingsRefreshBtn.addEventListener('click', async () => {
     try {
@@ -1353,5 +2056,9 @@ if (settingsGrid) {
 refreshAccounts();
 loadLogs();
 loadHourlyUsage();
+loadUsageTrends();
+loadKeys();
 loadSettings();
+loadModelRoutes();
+loadModelCapabilities();
 initLogSettingsUI();
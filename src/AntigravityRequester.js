@@ -164,6 +164,14 @@ class antigravityRequester {
         return streamResponse;
     }
 
+    // requester 进程没有中途取消的协议：解除关联后丢弃该请求的后续数据，不再触发任何回调。
+    // 上游请求仍会在 requester 进程中跑完并消耗额度；需要客户端断开时真正中止上游，请开启 USE_NATIVE_AXIOS
+    antigravity_cancelStream(streamResponse) {
+        if (!streamResponse) return;
+        this.pendingRequests.delete(streamResponse.id);
+        streamResponse._cancelled = true;
+    }
+
     _writeRequest(request) {
         this.writeQueue = this.writeQueue.then(() => {
             return new Promise((resolve, reject) => {
@@ -205,9 +213,11 @@ class StreamResponse {
         this._error = null;
         this._textPromiseResolve = null;
         this._textPromiseReject = null;
+        this._cancelled = false;
     }
 
     _handleChunk(chunk) {
+        if (this._cancelled) return;
         if (chunk.type === 'start') {
             this.status = chunk.status;
             this.headers = new Map(Object.entries(chunk.headers || {}));
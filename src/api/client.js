@@ -1,16 +1,21 @@
 import axios from 'axios';
 import tokenManager from '../auth/token_manager.js';
+import cooldownRegistry from '../auth/cooldown_registry.js';
 import config from '../config/config.js';
 import { log } from '../utils/logger.js';
 import { generateRequestId, generateToolCallId } from '../utils/idGenerator.js';
 import AntigravityRequester from '../AntigravityRequester.js';
 import { saveBase64Image } from '../utils/imageStorage.js';
 import { registerTextThoughtSignature, registerThoughtSignature } from '../utils/utils.js';
+import { registerUpstreamModels } from '../utils/modelCapabilities.js';
+import { requesterFallbacksTotal, tokenSwitchesTotal, upstreamRetriesTotal } from '../utils/metrics.js';
 
 // 请求客户端：优先使用 AntigravityRequester，失败则降级到 axios
 let requester = null;
 let useAxios = false;
 const REQUESTER_FALLBACK_ERROR_KEYWORDS = ['upstream error', 'do request failed', 'process closed'];
+// 429 的冷却超过该时长时不再原地等待重试，直接切换账号
+const MAX_INLINE_RETRY_DELAY_MS = 5000;
 
 if (config.useNativeAxios === true) {
     useAxios = true;
@@ -19,6 +24,7 @@ if (config.useNativeAxios === true) {
         requester = new AntigravityRequester();
     } catch (error) {
         console.warn('AntigravityRequester 初始化失败，降级使用 axios:', error.message);
+        requesterFallbacksTotal.inc({ reason: 'init' });
         useAxios = true;
     }
 }
@@ -39,6 +45,7 @@ export function refreshApiClientConfig() {
             requester = new AntigravityRequester();
         } catch (error) {
             console.warn('重新初始化 AntigravityRequester 失败，继续使用 axios:', error.message);
+            requesterFallbacksTotal.inc({ reason: 'init' });
             useAxios = true;
         }
     }
@@ -89,6 +96,7 @@ export async function getModelsWithQuotas(token) {
             data = await response.json();
         }
 
+        registerUpstreamModels(data.models);
         const quotas = {};
         Object.entries(data.models || {}).forEach(([modelId, modelData]) => {
             if (modelData.quotaInfo) {
@@ -100,6 +108,7 @@ export async function getModelsWithQuotas(token) {
             }
         });
 
+        cooldownRegistry.recordQuotas(token, quotas);
         return quotas;
     } catch (error) {
         await handleApiError(error, token);
@@ -130,6 +139,7 @@ async function withRequesterFallback(fn) {
     } catch (error) {
         if (shouldFallbackToAxios(error)) {
             console.warn('AntigravityRequester 调用失败，降级使用 axios:', error.message);
+            requesterFallbacksTotal.inc({ reason: 'request_error' });
             useAxios = true;
             return await fn(useAxios);
         }
@@ -174,6 +184,31 @@ function parseRetryDelayMs(errorInfo, message) {
     return retryDelayMs;
 }
 
+// "1h2m3.5s" 形式的时长
+function parseDurationMs(value) {
+    const match = /^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?$/.exec(String(value || '').trim());
+    if (!match || !match[0]) return null;
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Math.ceil((Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000);
+}
+
+// 配额类错误的 ErrorInfo.metadata 中带有 quotaResetTimeStamp / quotaResetDelay
+function parseQuotaReset(errorInfo) {
+    const metadata = errorInfo?.details?.find(
+        detail => typeof detail === 'object' && detail['@type']?.includes('ErrorInfo')
+    )?.metadata;
+    return {
+        resetTime: metadata?.quotaResetTimeStamp || null,
+        resetDelayMs: parseDurationMs(metadata?.quotaResetDelay)
+    };
+}
+
+// 配额类错误只让账号在当前模型系列上冷却，不禁用账号
+function isQuotaError(details) {
+    if (details?.status === 429) return true;
+    return /RESOURCE_EXHAUSTED|quota/i.test(String(details?.message || ''));
+}
+
 function detectEmbeddedError(body) {
     if (!body) return null;
 
@@ -195,12 +230,14 @@ function detectEmbeddedError(body) {
         if (!errorObj) return null;
 
         const status = statusFromStatusText(errorObj.code || errorObj.status);
-        const retryDelayMs = parseRetryDelayMs(errorObj, errorObj.message || body);
+        const { resetTime, resetDelayMs } = parseQuotaReset(errorObj);
+        const retryDelayMs = parseRetryDelayMs(errorObj, errorObj.message || body) ?? resetDelayMs;
 
         return {
             status,
             message: JSON.stringify(errorObj, null, 2),
             retryDelayMs,
+            resetTime,
             disableToken: status === 401
         };
     } catch (e) {
@@ -208,10 +245,14 @@ function detectEmbeddedError(body) {
     }
 }
 
+// 流式响应的错误体只能读取一次，解析结果缓存在 error 上，withRetry 与 handleApiError 共用
 async function extractErrorDetails(error) {
+    if (error?.errorDetails) return error.errorDetails;
+
     let status = statusFromStatusText(error?.status || error?.statusCode || error?.response?.status);
     let message = error?.message || error?.response?.statusText || 'Unknown error';
     let retryDelayMs = error?.retryDelayMs || null;
+    let resetTime = error?.resetTime || null;
     let disableToken = error?.disableToken === true;
 
     if (error?.response?.data?.readable) {
@@ -232,23 +273,61 @@ async function extractErrorDetails(error) {
     if (embeddedError) {
         status = embeddedError.status ?? status;
         retryDelayMs = embeddedError.retryDelayMs ?? retryDelayMs;
+        resetTime = embeddedError.resetTime ?? resetTime;
         disableToken = embeddedError.disableToken || disableToken;
         message = embeddedError.message;
     }
 
-    return {
+    const details = {
         status: status ?? 'Unknown',
         message,
         retryDelayMs,
+        resetTime,
         disableToken
     };
+    if (error && typeof error === 'object') error.errorDetails = details;
+    return details;
 }
 
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function withRetry(operationFactory, initialToken) {
+// 客户端断开导致的取消：不重试、不走 handleApiError（不影响账号状态）
+// upstreamCancelled 为 false 表示只是不再转发，上游请求仍在继续（requester 进程不支持中途取消）
+export function createAbortError(message = '客户端已断开连接，请求已取消', { upstreamCancelled = true } = {}) {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    error.cancelled = true;
+    error.upstreamCancelled = upstreamCancelled;
+    return error;
+}
+
+export function isAbortError(error) {
+    return error?.cancelled === true || error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+}
+
+// 绑定 abort 回调并返回解绑函数；signal 已处于中止状态时立即执行
+function onAbortSignal(signal, handler) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+        handler();
+        return () => {};
+    }
+    signal.addEventListener('abort', handler, { once: true });
+    return () => signal.removeEventListener('abort', handler);
+}
+
+// 切换账号后请求体需改用新账号的 project / sessionId，否则冷却中的账号仍会被间接使用
+function bindRequestToToken(requestBody, token) {
+    if (!requestBody || !token) return;
+    if (token.projectId) requestBody.project = token.projectId;
+    if (requestBody.request && token.sessionId) requestBody.request.sessionId = token.sessionId;
+}
+
+// context.model 用于切换账号时让选择策略按模型挑选（如 quota_aware）
+// context.lease 为请求队列的租约：切换账号时先为新账号占用并发名额，再把租约转移过去；固定账号的租约（pinned）不切换
+async function withRetry(operationFactory, initialToken, context = {}) {
     const maxTokenSwitches = Math.max(config.retry?.maxAttempts || 3, 1);
     const retryStatusCodes = config.retry?.statusCodes?.length
         ? config.retry.statusCodes
@@ -265,8 +344,12 @@ async function withRetry(operationFactory, initialToken) {
 
     while (tokenSwitches < maxTokenSwitches) {
         try {
-            return await operationFactory(currentToken);
+            const result = await operationFactory(currentToken);
+            if (context.model) cooldownRegistry.release(currentToken, context.model);
+            return result;
         } catch (error) {
+            if (isAbortError(error)) throw error;
+
             lastError = error;
             const details = await extractErrorDetails(error);
 
@@ -278,6 +361,18 @@ async function withRetry(operationFactory, initialToken) {
                 throw error;
             }
 
+            // 配额类错误：登记当前账号在该模型系列上的冷却，期间选择账号时会跳过它
+            const cooldown = context.model && isQuotaError(details)
+                ? cooldownRegistry.recordError(currentToken, context.model, {
+                    retryDelayMs: details.retryDelayMs,
+                    resetTime: details.resetTime,
+                    reason: `HTTP ${details.status}`,
+                    // 当前账号原地重试后仍失败，确认为配额耗尽
+                    confirmed: tokenAttempts + 1 >= maxAttemptsPerToken
+                })
+                : null;
+            const longCooldown = Boolean(cooldown) && cooldown.until - Date.now() > MAX_INLINE_RETRY_DELAY_MS;
+
             const is429 = details.status === 429;
             const shouldRetry = retryStatusCodes.includes(details.status);
 
@@ -290,11 +385,19 @@ async function withRetry(operationFactory, initialToken) {
 
             tokenAttempts += 1;
 
-            // 429错误：当前token已重试1次后，切换到下一个token
-            if (is429 && tokenAttempts >= maxAttemptsPerToken) {
+            // 429错误：当前token已重试1次后（或冷却时间较长时立即），切换到下一个token
+            if (is429 && (tokenAttempts >= maxAttemptsPerToken || longCooldown)) {
+                if (context.lease?.pinned) {
+                    log.warn('[withRetry] 当前请求固定使用该账号，不切换token');
+                    throw error;
+                }
                 log.info(`[withRetry] 429错误，当前token已重试${tokenAttempts}次，尝试切换到下一个token...`);
                 tokenManager.moveToNextToken();
-                const nextToken = await tokenManager.getToken();
+                const nextToken = await tokenManager.getToken({
+                    model: context.model,
+                    exclude: triedTokenIds,
+                    reserve: Boolean(context.lease)
+                });
 
                 if (!nextToken) {
                     log.warn('[withRetry] 没有可用的token了');
@@ -303,14 +406,17 @@ async function withRetry(operationFactory, initialToken) {
 
                 // 检查是否已经尝试过这个token（避免循环）
                 if (triedTokenIds.has(nextToken.access_token)) {
+                    if (context.lease) tokenManager.releaseSlot(nextToken);
                     log.warn('[withRetry] 所有token都已尝试过，仍然失败');
                     throw error;
                 }
 
+                context.lease?.moveTo(nextToken);
                 triedTokenIds.add(nextToken.access_token);
                 currentToken = nextToken;
                 tokenAttempts = 0;
                 tokenSwitches += 1;
+                tokenSwitchesTotal.inc();
                 log.info(`[withRetry] 已切换到新token (第${tokenSwitches}次切换)`);
                 continue;
             }
@@ -318,6 +424,7 @@ async function withRetry(operationFactory, initialToken) {
             // 其他可重试错误或429首次重试：等待后重试
             const delayMs = details.retryDelayMs ?? Math.min(1000 * tokenAttempts, 5000);
             log.info(`[withRetry] ${details.status}错误，等待${delayMs}ms后重试 (当前token第${tokenAttempts + 1}次尝试)`);
+            upstreamRetriesTotal.inc({ status: details.status });
             await delay(delayMs);
         }
     }
@@ -330,12 +437,16 @@ async function withRetry(operationFactory, initialToken) {
 async function handleApiError(error, token) {
     const details = await extractErrorDetails(error);
 
-    if (details.status === 403 || details.status === 401 || details.disableToken) {
+    // 配额类 403 已在 withRetry 中登记为模型系列冷却，不再整号禁用
+    if (details.status === 401 || details.disableToken || (details.status === 403 && !isQuotaError(details))) {
         tokenManager.disableCurrentToken(token);
         throw new Error(`该账号没有使用权限或凭证失效，已自动禁用。错误详情: ${details.message}`);
     }
 
-    throw new Error(`API请求失败 (${details.status}): ${details.message}`);
+    const apiError = new Error(`API请求失败 (${details.status}): ${details.message}`);
+    // 保留配额耗尽标记：withRetry 已用尽可切换的账号，上层可据此改用回退链中的下一个模型
+    apiError.quotaExhausted = isQuotaError(details);
+    throw apiError;
 }
 
 // 转换 functionCall 为 OpenAI 格式
@@ -365,7 +476,10 @@ function toOpenAiUsage(usageMetadata) {
     if (!usageMetadata) return null;
 
     const prompt = usageMetadata.promptTokenCount ?? usageMetadata.inputTokenCount ?? null;
-    const completion = usageMetadata.candidatesTokenCount ?? usageMetadata.outputTokenCount ?? null;
+    // 与 OpenAI 一致，completion_tokens 包含思维链 tokens（上游的 candidatesTokenCount 不含 thoughtsTokenCount）
+    const reasoning = usageMetadata.thoughtsTokenCount ?? 0;
+    const candidates = usageMetadata.candidatesTokenCount ?? usageMetadata.outputTokenCount ?? null;
+    const completion = Number.isFinite(candidates) ? candidates + reasoning : null;
     const total =
         usageMetadata.totalTokenCount ??
         (Number.isFinite(prompt) && Number.isFinite(completion) ? prompt + completion : null);
@@ -376,7 +490,8 @@ function toOpenAiUsage(usageMetadata) {
         prompt_tokens: prompt,
         completion_tokens: inferredCompletion,
         total_tokens:
-            total ?? (Number.isFinite(prompt) && Number.isFinite(inferredCompletion) ? prompt + inferredCompletion : null)
+            total ?? (Number.isFinite(prompt) && Number.isFinite(inferredCompletion) ? prompt + inferredCompletion : null),
+        completion_tokens_details: { reasoning_tokens: reasoning }
     };
 }
 
@@ -389,6 +504,13 @@ function flushTextAccumulator(state) {
     state.textAccumulator = { text: '', signature: null };
 }
 
+// 候选结束原因；提示词被整体拦截时上游没有 candidates，只返回 promptFeedback.blockReason
+function extractFinishReason(response) {
+    const finishReason = response?.candidates?.[0]?.finishReason;
+    if (finishReason) return finishReason;
+    return response?.promptFeedback?.blockReason ? 'SAFETY' : null;
+}
+
 function parseAndEmitStreamChunk(line, state, callback) {
     if (!line.startsWith('data: ')) return;
 
@@ -416,8 +538,11 @@ function parseAndEmitStreamChunk(line, state, callback) {
                     state.textAccumulator.text += part.text || '';
                     callback({ type: 'text', content: part.text });
                 } else if (part.functionCall) {
-                    // 工具调用
-                    state.toolCalls.push(convertToToolCallWithSignature(part.functionCall, part.thoughtSignature));
+                    // 工具调用到达即发送，index 在整个响应内保持递增不变；parallel_tool_calls=false 时只保留第一个
+                    if (state.singleToolCall && state.toolCallCount >= 1) continue;
+                    const toolCall = convertToToolCallWithSignature(part.functionCall, part.thoughtSignature);
+                    callback({ type: 'tool_calls', tool_calls: [{ index: state.toolCallCount, ...toolCall }] });
+                    state.toolCallCount += 1;
                 } else if (part.inlineData) {
                     // 图片数据
                     const imageUrl = saveBase64Image(part.inlineData.data, part.inlineData.mimeType);
@@ -426,13 +551,12 @@ function parseAndEmitStreamChunk(line, state, callback) {
             }
         }
 
-        // 响应结束时发送工具调用
-        if (data.response?.candidates?.[0]?.finishReason) {
+        // 透传上游 finishReason（STOP / MAX_TOKENS / SAFETY 等）
+        const finishReason = extractFinishReason(data.response);
+        if (finishReason) {
             flushTextAccumulator(state);
-            if (state.toolCalls.length > 0) {
-                callback({ type: 'tool_calls', tool_calls: state.toolCalls });
-                state.toolCalls = [];
-            }
+            state.finishReason = finishReason;
+            callback({ type: 'finish', finish_reason: finishReason });
         }
     } catch (e) {
         // 忽略 JSON 解析错误
@@ -441,9 +565,10 @@ function parseAndEmitStreamChunk(line, state, callback) {
 
 // ==================== 导出函数 ====================
 
-export async function generateAssistantResponse(requestBody, token, callback) {
-
-    const state = { toolCalls: [], usage: null, textAccumulator: { text: '', signature: null } };
+// 内部复用的流式请求封装：负责重试、降级与日志，按行把上游 SSE 交给 onLine 处理
+// signal 中止时取消上游流并抛出 AbortError，不再重试；lease 用于重试切换账号时转移并发名额；
+// onStreamStart 在上游以 200 开始返回流时调用，此后不会再因上游错误状态码重试或回退模型
+async function callStreamApi(requestBody, token, onLine, { signal, lease, onStreamStart } = {}) {
     let buffer = ''; // 缓冲区：处理跨 chunk 的不完整行
     let streamChunks = []; // 收集流式响应（用于 debug=high 日志）
 
@@ -452,7 +577,7 @@ export async function generateAssistantResponse(requestBody, token, callback) {
         streamChunks.push(chunk); // 收集响应片段
         const lines = buffer.split('\n');
         buffer = lines.pop(); // 保留最后一行（可能不完整）
-        lines.forEach(line => parseAndEmitStreamChunk(line, state, callback));
+        lines.forEach(onLine);
     };
 
     // 记录后端请求
@@ -467,17 +592,28 @@ export async function generateAssistantResponse(requestBody, token, callback) {
 
     try {
         await withRequesterFallback(async currentUseAxios => withRetry(async (currentToken) => {
+            if (signal?.aborted) throw createAbortError();
+            bindRequestToToken(requestBody, currentToken);
             const headers = buildHeaders(currentToken);
             buffer = ''; // 重置缓冲区以防重试
 
             if (currentUseAxios) {
-                const axiosConfig = { ...buildAxiosConfig(config.api.url, headers, requestBody), responseType: 'stream' };
+                const axiosConfig = {
+                    ...buildAxiosConfig(config.api.url, headers, requestBody),
+                    responseType: 'stream',
+                    signal
+                };
                 const response = await axios(axiosConfig);
+                onStreamStart?.();
 
                 response.data.on('data', chunk => processChunk(chunk.toString()));
                 await new Promise((resolve, reject) => {
-                    response.data.on('end', resolve);
-                    response.data.on('error', reject);
+                    const unbind = onAbortSignal(signal, () => {
+                        response.data.destroy();
+                        reject(createAbortError());
+                    });
+                    response.data.on('end', () => { unbind(); resolve(); });
+                    response.data.on('error', error => { unbind(); reject(error); });
                 });
                 return;
             }
@@ -487,13 +623,20 @@ export async function generateAssistantResponse(requestBody, token, callback) {
             let statusCode = null;
 
             await new Promise((resolve, reject) => {
+                const unbind = onAbortSignal(signal, () => {
+                    requester.antigravity_cancelStream(streamResponse);
+                    reject(createAbortError(undefined, { upstreamCancelled: false }));
+                });
                 streamResponse
-                    .onStart(({ status }) => { statusCode = status; })
+                    .onStart(({ status }) => {
+                        statusCode = status;
+                        if (status === 200) onStreamStart?.();
+                    })
                     .onData((chunk) => statusCode !== 200 ? errorBody += chunk : processChunk(chunk))
-                    .onEnd(() => statusCode !== 200 ? reject({ status: statusCode, message: errorBody }) : resolve())
-                    .onError(reject);
+                    .onEnd(() => { unbind(); statusCode !== 200 ? reject({ status: statusCode, message: errorBody }) : resolve(); })
+                    .onError(error => { unbind(); reject(error); });
             });
-        }, token));
+        }, token, { model: requestBody.model, lease }));
 
         // 记录后端响应（成功）
         log.backend({
@@ -510,10 +653,47 @@ export async function generateAssistantResponse(requestBody, token, callback) {
             durationMs: Date.now() - startTime,
             body: error?.message || error
         });
+        if (isAbortError(error)) throw error.cancelled ? error : createAbortError();
         await handleApiError(error, token);
     }
+}
+
+// options.singleToolCall：对应 parallel_tool_calls=false，上游没有等价开关，只能在结果中截断
+// options.signal：客户端断开时用于中止上游请求
+// options.lease：请求队列租约，重试切换账号时随之转移
+// options.onStreamStart：上游开始返回流时回调（用于放行心跳）
+export async function generateAssistantResponse(requestBody, token, callback, options = {}) {
+    const state = {
+        toolCallCount: 0,
+        singleToolCall: options.singleToolCall === true,
+        usage: null,
+        finishReason: null,
+        textAccumulator: { text: '', signature: null }
+    };
+
+    await callStreamApi(requestBody, token, line => parseAndEmitStreamChunk(line, state, callback), options);
+
+    return { usage: state.usage, finishReason: state.finishReason };
+}
+
+// 直接透传上游原始 Gemini 流式片段（用于 Gemini 兼容接口的 :streamGenerateContent）
+export async function generateGeminiResponseStream(requestBody, token, callback, options = {}) {
+    let usageMetadata = null;
+
+    await callStreamApi(requestBody, token, line => {
+        if (!line.startsWith('data: ')) return;
+        try {
+            const data = JSON.parse(line.slice(6));
+            // 上游返回通常为 { response: { ... } } 结构，这里只透传内部 response
+            const chunk = data?.response ?? data;
+            if (chunk?.usageMetadata) usageMetadata = chunk.usageMetadata;
+            callback(chunk);
+        } catch (e) {
+            // 忽略 JSON 解析错误
+        }
+    }, options);
 
-    return { usage: state.usage };
+    return { usage: toOpenAiUsage(usageMetadata) };
 }
 
 export async function getAvailableModels() {
@@ -550,6 +730,7 @@ export async function getAvailableModels() {
                     status: embeddedError?.status ?? response.status,
                     message: embeddedError?.message ?? bodyText,
                     retryDelayMs: embeddedError?.retryDelayMs,
+                    resetTime: embeddedError?.resetTime,
                     disableToken: embeddedError?.disableToken
                 };
             }
@@ -565,6 +746,7 @@ export async function getAvailableModels() {
             body: data
         });
 
+        registerUpstreamModels(data.models);
         return {
             object: 'list',
             data: Object.keys(data.models).map(id => ({
@@ -587,7 +769,7 @@ export async function getAvailableModels() {
 }
 
 // 内部复用的非流式请求封装，返回上游原始 JSON，方便不同上层按需解析
-async function callNoStreamApi(requestBody, token) {
+async function callNoStreamApi(requestBody, token, { lease } = {}) {
     const headers = buildHeaders(token);
 
     // 记录后端请求
@@ -603,6 +785,7 @@ async function callNoStreamApi(requestBody, token) {
     try {
         const data = await withRequesterFallback(async currentUseAxios =>
             withRetry(async (currentToken) => {
+                bindRequestToToken(requestBody, currentToken);
                 const currentHeaders = buildHeaders(currentToken);
 
                 if (currentUseAxios) {
@@ -621,12 +804,13 @@ async function callNoStreamApi(requestBody, token) {
                         status: embeddedError?.status ?? response.status,
                         message: embeddedError?.message ?? bodyText,
                         retryDelayMs: embeddedError?.retryDelayMs,
+                        resetTime: embeddedError?.resetTime,
                         disableToken: embeddedError?.disableToken
                     };
                 }
 
                 return JSON.parse(bodyText);
-            }, token)
+            }, token, { model: requestBody.model, lease })
         );
 
         // 记录后端响应（成功）
@@ -650,14 +834,14 @@ async function callNoStreamApi(requestBody, token) {
     }
 }
 
-export async function generateAssistantResponseNoStream(requestBody, token) {
+export async function generateAssistantResponseNoStream(requestBody, token, options = {}) {
 
     let data;
     let aggregatedText = '';
     let aggregatedTextSignature = null;
 
     try {
-        data = await callNoStreamApi(requestBody, token);
+        data = await callNoStreamApi(requestBody, token, options);
     } catch (error) {
         await handleApiError(error, token);
     }
@@ -665,6 +849,7 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
     // 解析响应内容
     const parts = data.response?.candidates?.[0]?.content?.parts || [];
     const usage = toOpenAiUsage(data.response?.usageMetadata);
+    const finishReason = extractFinishReason(data.response);
     let content = '';
     let thinkingContent = '';
     const toolCalls = [];
@@ -681,6 +866,7 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
             aggregatedText += part.text || '';
             content += part.text;
         } else if (part.functionCall) {
+            if (options.singleToolCall && toolCalls.length >= 1) continue;
             toolCalls.push(convertToToolCallWithSignature(part.functionCall, part.thoughtSignature));
         } else if (part.inlineData) {
             // 保存图片到本地并获取 URL
@@ -701,16 +887,16 @@ export async function generateAssistantResponseNoStream(requestBody, token) {
     if (imageUrls.length > 0) {
         let markdown = content ? content + '\n\n' : '';
         markdown += imageUrls.map(url => `![image](${url})`).join('\n\n');
-        return { content: markdown, toolCalls, thinking: thinkingContent || null };
+        return { content: markdown, toolCalls, thinking: thinkingContent || null, finishReason };
     }
 
-    return { content, toolCalls, usage };
+    return { content, toolCalls, usage, finishReason };
 }
 
 // 直接返回原始 Gemini 风格响应（用于 Gemini 兼容接口）
-export async function generateGeminiResponseNoStream(requestBody, token) {
+export async function generateGeminiResponseNoStream(requestBody, token, options = {}) {
     try {
-        const data = await callNoStreamApi(requestBody, token);
+        const data = await callNoStreamApi(requestBody, token, options);
         // 上游返回通常为 { response: { ... } } 结构，这里只透传内部 response
         return data?.response ?? data;
     } catch (error) {
@@ -0,0 +1,145 @@
+import config from '../config/config.js';
+import log from '../utils/logger.js';
+import tokenManager from '../auth/token_manager.js';
+import { getAvailableModels, getModelsWithQuotas } from './client.js';
+import { listModelAliases, matchesPattern } from '../utils/modelRoutes.js';
+import { getModelCapabilities } from '../utils/modelCapabilities.js';
+
+// 模型目录：缓存上游模型列表（MODELS_CACHE_TTL_MS），合并路由别名、过滤隐藏模型（HIDDEN_MODELS），
+// 按需附加能力与各账号汇总的剩余额度
+class ModelCatalog {
+  constructor() {
+    this.models = null;
+    this.fetchedAt = 0;
+    this.pending = null;
+    this.firstSeen = new Map(); // 模型 id -> 首次出现的时间（秒），作为稳定的 created
+    this.quotaSummary = null;
+    this.quotaFetchedAt = 0;
+    this.pendingQuota = null;
+  }
+
+  getTtlMs() {
+    return config.models?.cacheTtlMs ?? 0;
+  }
+
+  isFresh(fetchedAt) {
+    return Date.now() - fetchedAt < this.getTtlMs();
+  }
+
+  invalidate() {
+    this.models = null;
+    this.fetchedAt = 0;
+    this.quotaSummary = null;
+    this.quotaFetchedAt = 0;
+  }
+
+  isHidden(id) {
+    return (config.models?.hidden || []).some(pattern => matchesPattern(pattern, id));
+  }
+
+  // 上游刷新失败时沿用已过期的缓存，避免模型列表因一次抖动整体不可用
+  async getUpstreamModels() {
+    if (this.models && this.isFresh(this.fetchedAt)) return this.models;
+    if (!this.pending) {
+      this.pending = getAvailableModels()
+        .then(result => {
+          const now = Math.floor(Date.now() / 1000);
+          this.models = (result?.data || []).map(item => {
+            if (!this.firstSeen.has(item.id)) this.firstSeen.set(item.id, now);
+            return { ...item, created: this.firstSeen.get(item.id) };
+          });
+          this.fetchedAt = Date.now();
+          return this.models;
+        })
+        .catch(error => {
+          if (!this.models) throw error;
+          log.warn('刷新模型列表失败，继续使用缓存:', error.message);
+          return this.models;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  // 逐个账号查询额度并按模型汇总：remaining_fraction 为各账号剩余比例之和，reset_time 取最早的重置时间
+  async getQuotaSummary() {
+    if (this.quotaSummary && this.isFresh(this.quotaFetchedAt)) return this.quotaSummary;
+    if (!this.pendingQuota) {
+      this.pendingQuota = this.fetchQuotaSummary().finally(() => {
+        this.pendingQuota = null;
+      });
+    }
+    return this.pendingQuota;
+  }
+
+  async fetchQuotaSummary() {
+    const summary = {};
+    for (const token of [...tokenManager.tokens]) {
+      try {
+        if (tokenManager.isExpired(token)) await tokenManager.refreshToken(token);
+        const quotas = await getModelsWithQuotas(token);
+        Object.entries(quotas || {}).forEach(([modelId, info]) => {
+          if (!summary[modelId]) summary[modelId] = { remaining_fraction: 0, accounts: 0, reset_time: null };
+          const item = summary[modelId];
+          item.remaining_fraction += Number(info.remaining) || 0;
+          item.accounts += 1;
+          if (info.resetTime && (!item.reset_time || Date.parse(info.resetTime) < Date.parse(item.reset_time))) {
+            item.reset_time = info.resetTime;
+          }
+        });
+      } catch (error) {
+        log.warn(`账号 ${token.projectId || '未知'} 额度查询失败，模型额度汇总中已跳过:`, error.message);
+      }
+    }
+    Object.values(summary).forEach(item => {
+      item.remaining_fraction = Math.round(item.remaining_fraction * 1000) / 1000;
+    });
+    this.quotaSummary = summary;
+    this.quotaFetchedAt = Date.now();
+    return summary;
+  }
+
+  toExtendedModel(item, quotaSummary) {
+    const capabilities = getModelCapabilities(item.root || item.id);
+    const quota = quotaSummary[item.root || item.id];
+    return {
+      ...item,
+      context_window: capabilities.contextWindow,
+      max_output_tokens: capabilities.maxOutputTokens,
+      capabilities: {
+        thinking: capabilities.thinking,
+        vision: capabilities.vision,
+        tools: capabilities.tools,
+        image_output: capabilities.imageOutput
+      },
+      ...(quota ? { quota } : {})
+    };
+  }
+
+  // extended 为 true 时附加能力与额度字段
+  async listModels({ extended = false } = {}) {
+    const upstream = await this.getUpstreamModels();
+    const ids = new Set(upstream.map(item => item.id));
+    const created = Math.floor(this.fetchedAt / 1000);
+    const aliases = listModelAliases()
+      .filter(alias => !ids.has(alias.id))
+      .map(alias => ({ id: alias.id, object: 'model', created, owned_by: 'alias', root: alias.target }));
+
+    let data = [...upstream, ...aliases].filter(item => !this.isHidden(item.id));
+    if (extended) {
+      const quotaSummary = await this.getQuotaSummary();
+      data = data.map(item => this.toExtendedModel(item, quotaSummary));
+    }
+    return { object: 'list', data };
+  }
+
+  async getModel(id, options = {}) {
+    const { data } = await this.listModels(options);
+    return data.find(item => item.id === id) || null;
+  }
+}
+
+const modelCatalog = new ModelCatalog();
+export default modelCatalog;
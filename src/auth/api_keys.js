@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+import { getKeyUsageSince } from '../utils/log_store.js';
+import { matchesPattern } from '../utils/modelRoutes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 客户端 API Key 登记表：每个 key 有名称、可选过期时间、模型白名单、每小时请求数 / 每日 token 预算和 IP 白名单。
+// 环境变量中的 API_KEY 作为主密钥继续可用，不受这些限制
+export const MASTER_KEY_NAME = 'default';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+  return [];
+}
+
+function toLimit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+}
+
+function toExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) throw new Error('过期时间格式无效');
+  return new Date(timestamp).toISOString();
+}
+
+function normalizeIp(ip) {
+  const value = String(ip || '').split(',')[0].trim();
+  return value.startsWith('::ffff:') ? value.slice(7) : value;
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+}
+
+class ApiKeyStore {
+  constructor(filePath = path.join(__dirname, '..', '..', 'data', 'api_keys.json')) {
+    this.filePath = filePath;
+    this.keys = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.keys = [];
+        return;
+      }
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '[]');
+      this.keys = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      log.error('读取 API Key 列表失败:', error.message);
+      this.keys = [];
+    }
+  }
+
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.keys, null, 2), 'utf8');
+  }
+
+  normalize(input, existing = {}) {
+    const name = input.name !== undefined ? String(input.name).trim() : existing.name;
+    if (!name) throw new Error('名称不能为空');
+    if (name === MASTER_KEY_NAME) throw new Error(`名称 ${MASTER_KEY_NAME} 已保留给主密钥`);
+    if (this.keys.some(item => item.name === name && item.id !== existing.id)) {
+      throw new Error(`名称 ${name} 已存在`);
+    }
+
+    const pick = (field, parse) => (input[field] !== undefined ? parse(input[field]) : existing[field]);
+    return {
+      ...existing,
+      name,
+      enabled: input.enabled !== undefined ? input.enabled !== false : existing.enabled !== false,
+      expiresAt: pick('expiresAt', toExpiry) ?? null,
+      allowedModels: pick('allowedModels', toList) || [],
+      allowedIps: pick('allowedIps', toList) || [],
+      requestsPerHour: pick('requestsPerHour', toLimit) || 0,
+      tokensPerDay: pick('tokensPerDay', toLimit) || 0
+    };
+  }
+
+  list() {
+    return this.keys.map(item => ({ ...item }));
+  }
+
+  create(input = {}) {
+    const entry = this.normalize(input, {
+      id: crypto.randomUUID(),
+      key: input.key ? String(input.key).trim() : `sk-${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: new Date().toISOString()
+    });
+    if (this.findByKey(entry.key)) throw new Error('该 key 已存在');
+    this.keys.push(entry);
+    this.save();
+    return { ...entry };
+  }
+
+  update(id, input = {}) {
+    const index = this.keys.findIndex(item => item.id === id);
+    if (index === -1) return null;
+    this.keys[index] = this.normalize(input, this.keys[index]);
+    this.save();
+    return { ...this.keys[index] };
+  }
+
+  remove(id) {
+    const index = this.keys.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    this.keys.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  findByKey(key) {
+    if (!key) return null;
+    return this.keys.find(item => item.key === key) || null;
+  }
+
+  findByName(name) {
+    if (!name) return null;
+    return this.keys.find(item => item.name === name) || null;
+  }
+
+  getUsage(entry) {
+    const hourly = getKeyUsageSince(entry.name, Date.now() - HOUR_MS);
+    const daily = getKeyUsageSince(entry.name, startOfToday());
+    return { requestsLastHour: hourly.requests, tokensToday: daily.tokens };
+  }
+
+  // 校验失败返回 { ok: false, status, message }；models 为本次请求可能实际调用的上游模型（路由目标及回退链），
+  // 须全部在白名单内，为空时（如 /v1/models）跳过模型白名单；checkIp 为 false 时跳过 IP 白名单（面板发起的重放）
+  authorize(entry, { models = [], ip, checkIp = true } = {}) {
+    if (entry.enabled === false) {
+      return { ok: false, status: 401, message: 'API Key 已停用' };
+    }
+    if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+      return { ok: false, status: 401, message: 'API Key 已过期' };
+    }
+
+    const clientIp = normalizeIp(ip);
+    if (checkIp && entry.allowedIps?.length && !entry.allowedIps.some(pattern => matchesPattern(pattern, clientIp))) {
+      return { ok: false, status: 403, message: `IP ${clientIp || 'unknown'} 不在该 API Key 的白名单内` };
+    }
+
+    const deniedModel = entry.allowedModels?.length
+      ? models.find(model => !entry.allowedModels.some(pattern => matchesPattern(pattern, model)))
+      : null;
+    if (deniedModel) {
+      return { ok: false, status: 403, message: `该 API Key 无权使用模型 ${deniedModel}` };
+    }
+
+    if (entry.requestsPerHour || entry.tokensPerDay) {
+      const usage = this.getUsage(entry);
+      if (entry.requestsPerHour && usage.requestsLastHour >= entry.requestsPerHour) {
+        return { ok: false, status: 429, message: `已达到该 API Key 每小时 ${entry.requestsPerHour} 次请求上限` };
+      }
+      if (entry.tokensPerDay && usage.tokensToday >= entry.tokensPerDay) {
+        return { ok: false, status: 429, message: `已达到该 API Key 每日 ${entry.tokensPerDay} tokens 上限` };
+      }
+    }
+
+    return { ok: true };
+  }
+}
+
+const apiKeyStore = new ApiKeyStore();
+export default apiKeyStore;
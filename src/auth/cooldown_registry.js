@@ -0,0 +1,149 @@
+import { log } from '../utils/logger.js';
+
+// 账号 × 模型系列的冷却登记：配额类错误只让账号在对应模型系列上暂停，到期后自动恢复，不再整号禁用
+// 没有重试信息的错误：首次视为瞬时限流，只短暂冷却（需低于 withRetry 的原地重试阈值，保证仍会原地重试一次）；
+// 原地重试后仍失败才确认为配额耗尽，使用默认冷却时长
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+const TRANSIENT_COOLDOWN_MS = 2 * 1000;
+
+// 模型系列：同一系列通常共享上游配额
+// gemini-3-pro-high / gemini-3-pro-image -> gemini-3；gemini-2.5-flash -> gemini-2.5；claude-* -> claude
+export function getModelFamily(model) {
+  const id = String(model || '').trim().toLowerCase();
+  if (!id) return null;
+
+  const geminiMatch = /^gemini-(\d+(?:\.\d+)?)/.exec(id);
+  if (geminiMatch) return `gemini-${geminiMatch[1]}`;
+  if (id.startsWith('claude')) return 'claude';
+  if (id.startsWith('gpt-oss')) return 'gpt-oss';
+  return id;
+}
+
+// 兼容秒级 / 毫秒级时间戳与 ISO 字符串
+function parseTimestampMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// TOML 导入的账号自带 gemini 3 系列封禁截止时间
+function getImportedBans(token) {
+  const until = parseTimestampMs(token?.gemini_3_series_banned_until);
+  if (!until || until <= Date.now()) return [];
+  return [{ family: 'gemini-3', model: null, until, reason: 'gemini_3_series_banned_until', source: 'account' }];
+}
+
+class CooldownRegistry {
+  constructor() {
+    this.entries = new Map(); // refresh_token -> Map(family -> { family, model, until, reason, source })
+  }
+
+  keyOf(token) {
+    return token?.refresh_token || token?.access_token || null;
+  }
+
+  set(token, model, { until, reason, source }) {
+    const key = this.keyOf(token);
+    const family = getModelFamily(model);
+    if (!key || !family || !Number.isFinite(until) || until <= Date.now()) return null;
+
+    if (!this.entries.has(key)) this.entries.set(key, new Map());
+    const families = this.entries.get(key);
+    const existing = families.get(family);
+    // 已有更晚的冷却时保留较晚的那一个
+    if (existing && existing.until >= until) return existing;
+
+    const entry = { family, model: model || null, until, reason: reason || null, source: source || 'error' };
+    families.set(family, entry);
+    log.warn(
+      `账号 ${token.projectId || '未知'} 在 ${family} 系列上冷却至 ${new Date(until).toISOString()}（${entry.reason || entry.source}）`
+    );
+    return entry;
+  }
+
+  // 上游错误：优先使用 resetTime，其次 retryDelayMs，都没有时按 confirmed 使用默认或短暂冷却时长
+  recordError(token, model, { retryDelayMs, resetTime, reason, confirmed = false } = {}) {
+    const resetAt = parseTimestampMs(resetTime);
+    const fallbackMs = confirmed ? DEFAULT_COOLDOWN_MS : TRANSIENT_COOLDOWN_MS;
+    const until = resetAt || Date.now() + (Number.isFinite(retryDelayMs) ? retryDelayMs : fallbackMs);
+    return this.set(token, model, { until, reason, source: 'error' });
+  }
+
+  // 额度数据：{ [modelId]: { remaining, resetTime } }
+  // 同系列只要还有模型有剩余额度就解除额度冷却，否则冷却到最早的重置时间
+  recordQuotas(token, quotas = {}) {
+    const byFamily = new Map();
+    Object.entries(quotas || {}).forEach(([modelId, info]) => {
+      const family = getModelFamily(modelId);
+      if (!family) return;
+      if (!byFamily.has(family)) byFamily.set(family, []);
+      byFamily.get(family).push({ modelId, remaining: Number(info?.remaining) || 0, resetAt: parseTimestampMs(info?.resetTime) });
+    });
+
+    byFamily.forEach((models, family) => {
+      if (models.some(item => item.remaining > 0)) {
+        this.clear(token, family, 'quota');
+        return;
+      }
+      const resetTimes = models.map(item => item.resetAt).filter(Boolean);
+      if (resetTimes.length === 0) return;
+      this.set(token, models[0].modelId, {
+        until: Math.min(...resetTimes),
+        reason: '额度已耗尽',
+        source: 'quota'
+      });
+    });
+  }
+
+  // source 为空时清除该系列的全部冷却
+  clear(token, family, source = null) {
+    const families = this.entries.get(this.keyOf(token));
+    if (!families || !families.has(family)) return;
+    if (source && families.get(family).source !== source) return;
+    families.delete(family);
+  }
+
+  // 请求成功说明错误冷却已不成立，提前恢复（额度数据登记的冷却不受影响）
+  release(token, model) {
+    const family = getModelFamily(model);
+    if (family) this.clear(token, family, 'error');
+  }
+
+  list(token) {
+    const now = Date.now();
+    const families = this.entries.get(this.keyOf(token));
+    const active = [];
+    if (families) {
+      families.forEach((entry, family) => {
+        if (entry.until > now) {
+          active.push(entry);
+        } else {
+          // 到期自动恢复
+          families.delete(family);
+        }
+      });
+    }
+    return [...active, ...getImportedBans(token)].map(entry => ({
+      ...entry,
+      until: new Date(entry.until).toISOString(),
+      remainingMs: entry.until - now
+    }));
+  }
+
+  getActive(token, model) {
+    const family = getModelFamily(model);
+    if (!family) return null;
+    return this.list(token).find(entry => entry.family === family) || null;
+  }
+
+  isCoolingDown(token, model) {
+    return this.getActive(token, model) !== null;
+  }
+}
+
+const cooldownRegistry = new CooldownRegistry();
+export default cooldownRegistry;
@@ -0,0 +1,214 @@
+import { log } from '../utils/logger.js';
+import config from '../config/config.js';
+import { createAbortError } from '../api/client.js';
+import tokenManager from './token_manager.js';
+
+// 所有账号暂不可用（并发占满、达到每小时上限或模型冷却中）时，请求在进程内排队等待下一个可用账号，
+// 超过队列长度或等待超时才返回 503
+const FALLBACK_POLL_MS = 5000;
+
+function createQueueError(message, queueInfo) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  error.queue = queueInfo;
+  return error;
+}
+
+class RequestQueue {
+  constructor() {
+    this.maxSize = 0;
+    this.timeoutMs = 0;
+    this.waiting = [];
+    this.draining = false;
+    this.drainPending = false;
+    this.wakeTimer = null;
+    this.stats = { queued: 0, served: 0, timedOut: 0, rejected: 0, cancelled: 0, totalWaitMs: 0, maxWaitMs: 0, lastWaitMs: 0 };
+    this.configure(config.queue || {});
+  }
+
+  // maxSize 或 timeoutMs 为 0 时关闭排队，恢复立即返回 503 的行为
+  configure({ maxSize, timeoutMs } = {}) {
+    if (maxSize !== undefined) this.maxSize = Math.max(0, Number(maxSize) || 0);
+    if (timeoutMs !== undefined) this.timeoutMs = Math.max(0, Number(timeoutMs) || 0);
+  }
+
+  isEnabled() {
+    return this.maxSize > 0 && this.timeoutMs > 0;
+  }
+
+  // 租约：请求结束时调用 release 归还并发名额，可重复调用；
+  // moveTo 用于重试切换账号：新账号的名额已由调用方占用，这里归还旧账号的名额；
+  // pinned 为 true 时 withRetry 不切换账号（如重放时指定账号，用于判断失败是否与账号有关）
+  createLease(token, queueInfo = { waitMs: 0, queueDepth: 0 }, { pinned = false } = {}) {
+    let released = false;
+    const lease = {
+      token,
+      pinned,
+      ...queueInfo,
+      moveTo: nextToken => {
+        if (nextToken === lease.token) return;
+        tokenManager.releaseSlot(released ? nextToken : lease.token);
+        if (!released) lease.token = nextToken;
+        this.drain();
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        tokenManager.releaseSlot(lease.token);
+        this.drain();
+      }
+    };
+    return lease;
+  }
+
+  // 指定账号的请求（如 /:credential 路由）不排队，只计入并发
+  wrap(token, { pinned = false } = {}) {
+    if (!token) return null;
+    tokenManager.acquireSlot(token);
+    return this.createLease(token, undefined, { pinned });
+  }
+
+  async acquire(context = {}, { signal } = {}) {
+    if (signal?.aborted) throw createAbortError();
+
+    // 已有请求在排队时新请求排在后面，保证先到先得
+    if (this.waiting.length === 0) {
+      const token = await tokenManager.getToken({ ...context, reserve: true });
+      if (token) return this.createLease(token);
+    }
+
+    if (tokenManager.tokens.length === 0 || !this.isEnabled()) return null;
+
+    if (this.waiting.length >= this.maxSize) {
+      this.stats.rejected += 1;
+      throw createQueueError(`请求队列已满（${this.maxSize}），请稍后重试`, {
+        waitMs: 0,
+        queueDepth: this.waiting.length
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        context,
+        enqueuedAt: Date.now(),
+        queueDepth: this.waiting.length + 1,
+        resolve,
+        reject,
+        signal
+      };
+
+      entry.timer = setTimeout(() => {
+        this.stats.timedOut += 1;
+        this.settle(entry, null, createQueueError(`等待可用账号超时（${this.timeoutMs}ms）`, this.getQueueInfo(entry)));
+      }, this.timeoutMs);
+
+      if (signal) {
+        entry.onAbort = () => {
+          this.stats.cancelled += 1;
+          this.settle(entry, null, createAbortError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.waiting.push(entry);
+      this.stats.queued += 1;
+      log.info(`暂无可用账号，请求进入等待队列（当前 ${this.waiting.length}/${this.maxSize}）`);
+      this.drain();
+    });
+  }
+
+  getQueueInfo(entry) {
+    return { waitMs: Date.now() - entry.enqueuedAt, queueDepth: entry.queueDepth };
+  }
+
+  settle(entry, token, error) {
+    const index = this.waiting.indexOf(entry);
+    if (index === -1) return false;
+    this.waiting.splice(index, 1);
+    clearTimeout(entry.timer);
+    if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      const queueInfo = this.getQueueInfo(entry);
+      this.stats.served += 1;
+      this.stats.totalWaitMs += queueInfo.waitMs;
+      this.stats.lastWaitMs = queueInfo.waitMs;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, queueInfo.waitMs);
+      entry.resolve(this.createLease(token, queueInfo));
+    }
+    if (this.waiting.length === 0) this.clearWakeTimer();
+    return true;
+  }
+
+  clearWakeTimer() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  // 按先后顺序为排队请求分配账号；分配不到时在最早可能恢复的时间再次尝试
+  async drain() {
+    if (this.draining) {
+      this.drainPending = true;
+      return;
+    }
+    this.draining = true;
+    this.clearWakeTimer();
+
+    try {
+      do {
+        this.drainPending = false;
+        // 同一轮中已分配失败的模型不再重复尝试；其他模型的请求仍可能有可用账号
+        const exhaustedModels = new Set();
+        for (const entry of [...this.waiting]) {
+          if (!this.waiting.includes(entry) || exhaustedModels.has(entry.context.model)) continue;
+          const token = await tokenManager.getToken({ ...entry.context, reserve: true });
+          if (!token) {
+            exhaustedModels.add(entry.context.model);
+            continue;
+          }
+          // 等待期间可能已超时或被取消
+          if (!this.settle(entry, token, null)) tokenManager.releaseSlot(token);
+        }
+      } while (this.drainPending && this.waiting.length > 0);
+    } catch (error) {
+      log.error('请求队列分配账号失败:', error.message);
+    } finally {
+      this.draining = false;
+    }
+
+    if (this.waiting.length > 0) this.scheduleWake();
+  }
+
+  scheduleWake() {
+    this.clearWakeTimer();
+    const nextAvailableAt = tokenManager.getNextAvailableAt(this.waiting[0].context);
+    const delay = nextAvailableAt ? Math.max(nextAvailableAt - Date.now(), 50) : FALLBACK_POLL_MS;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.drain();
+    }, Math.min(delay, FALLBACK_POLL_MS));
+  }
+
+  getStats() {
+    const now = Date.now();
+    const inFlight = tokenManager.tokens.reduce((sum, token) => sum + tokenManager.getInFlight(token), 0);
+    return {
+      enabled: this.isEnabled(),
+      depth: this.waiting.length,
+      maxSize: this.maxSize,
+      timeoutMs: this.timeoutMs,
+      oldestWaitMs: this.waiting.length > 0 ? now - this.waiting[0].enqueuedAt : 0,
+      maxConcurrentPerAccount: tokenManager.maxConcurrentPerAccount,
+      inFlight,
+      ...this.stats,
+      avgWaitMs: this.stats.served > 0 ? Math.round(this.stats.totalWaitMs / this.stats.served) : 0
+    };
+  }
+}
+
+const requestQueue = new RequestQueue();
+export default requestQueue;
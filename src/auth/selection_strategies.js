@@ -0,0 +1,138 @@
+import { log } from '../utils/logger.js';
+import { getUsageCountSince } from '../utils/log_store.js';
+
+// 账号选择策略：order 返回本次请求的候选账号顺序，TokenManager 依次尝试（刷新、projectId、每小时上限等校验不通过则顺延），
+// 选中后调用 onSelect 更新策略自身的状态
+export const DEFAULT_SELECTION_STRATEGY = 'sticky';
+
+const USAGE_WINDOW_MS = 60 * 60 * 1000;
+const QUOTA_CACHE_TTL_MS = 5 * 60 * 1000;
+// 未知额度排在仍有额度的账号之后、已耗尽的账号之前
+const UNKNOWN_QUOTA_SCORE = 0.001;
+
+// 从 currentIndex 开始的环形顺序
+function rotateFromCurrent(manager) {
+  const { tokens, currentIndex } = manager;
+  return tokens.map((_, offset) => tokens[(currentIndex + offset) % tokens.length]);
+}
+
+// 稳定排序：分数相同时保持账号原有顺序
+function sortByScore(tokens, score) {
+  return tokens
+    .map((token, index) => ({ token, index, value: score(token) }))
+    .sort((a, b) => a.value - b.value || a.index - b.index)
+    .map(item => item.token);
+}
+
+function getWeight(token) {
+  const weight = Number(token?.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+// ===== quota_aware 使用的额度缓存 =====
+
+const quotaCache = new Map(); // refresh_token -> { fetchedAt, models: { [modelId]: remainingFraction } }
+const quotaRefreshing = new Set();
+
+async function refreshQuota(manager, token) {
+  const key = token.refresh_token;
+  if (!key || quotaRefreshing.has(key)) return;
+  quotaRefreshing.add(key);
+
+  try {
+    if (manager.isExpired(token)) {
+      await manager.refreshToken(token);
+    }
+    // client.js 依赖 token_manager，这里延迟加载以避免循环依赖
+    const { getModelsWithQuotas } = await import('../api/client.js');
+    const quotas = await getModelsWithQuotas(token);
+    const models = {};
+    Object.entries(quotas || {}).forEach(([modelId, info]) => {
+      models[modelId] = Number(info?.remaining) || 0;
+    });
+    quotaCache.set(key, { fetchedAt: Date.now(), models });
+  } catch (error) {
+    // 失败时也记录时间，避免每个请求都重复拉取
+    quotaCache.set(key, { fetchedAt: Date.now(), models: quotaCache.get(key)?.models || {} });
+    log.warn(`账号 ${token.projectId || '未知'} 额度查询失败: ${error?.message || error}`);
+  } finally {
+    quotaRefreshing.delete(key);
+  }
+}
+
+export function getCachedQuota(token, model) {
+  const remaining = quotaCache.get(token?.refresh_token)?.models?.[model];
+  return Number.isFinite(remaining) ? remaining : null;
+}
+
+// ===== 策略定义 =====
+
+const STRATEGIES = {
+  sticky: {
+    label: '粘性轮询（持续使用当前账号，达到上限或失败后切换）',
+    order: manager => rotateFromCurrent(manager)
+  },
+  round_robin: {
+    label: '逐请求轮询',
+    order: manager => rotateFromCurrent(manager),
+    onSelect: (manager, token) => {
+      const index = manager.tokens.indexOf(token);
+      manager.currentIndex = (index + 1) % manager.tokens.length;
+    }
+  },
+  lru: {
+    label: '最久未使用优先',
+    order: manager => sortByScore(manager.tokens, token => manager.getLastUsedAt(token))
+  },
+  least_used: {
+    label: '最近一小时调用最少优先',
+    order: manager => {
+      const since = Date.now() - USAGE_WINDOW_MS;
+      return sortByScore(manager.tokens, token => getUsageCountSince(token.projectId, since));
+    }
+  },
+  weighted: {
+    // 平滑加权轮询（与 nginx 相同）：权重来自 accounts.json 中的 weight 字段，默认 1
+    label: '按账号权重加权轮询',
+    order: manager =>
+      sortByScore(manager.tokens, token => -(manager.getWeightState(token) + getWeight(token))),
+    onSelect: (manager, selected) => {
+      const totalWeight = manager.tokens.reduce((sum, token) => sum + getWeight(token), 0);
+      manager.tokens.forEach(token => {
+        manager.setWeightState(token, manager.getWeightState(token) + getWeight(token));
+      });
+      manager.setWeightState(selected, manager.getWeightState(selected) - totalWeight);
+    }
+  },
+  quota_aware: {
+    // 按请求模型的 remainingFraction 从高到低；额度缓存过期时后台刷新，不阻塞当前请求
+    label: '按模型剩余额度优先',
+    order: (manager, { model } = {}) => {
+      manager.tokens.forEach(token => {
+        const cached = quotaCache.get(token.refresh_token);
+        if (!cached || Date.now() - cached.fetchedAt > QUOTA_CACHE_TTL_MS) {
+          refreshQuota(manager, token);
+        }
+      });
+      if (!model) return rotateFromCurrent(manager);
+      return sortByScore(manager.tokens, token => -(getCachedQuota(token, model) ?? UNKNOWN_QUOTA_SCORE));
+    }
+  }
+};
+
+export function isValidSelectionStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+export function normalizeSelectionStrategy(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+  return isValidSelectionStrategy(normalized) ? normalized : DEFAULT_SELECTION_STRATEGY;
+}
+
+export function getSelectionStrategy(name) {
+  return STRATEGIES[normalizeSelectionStrategy(name)];
+}
+
+export function listSelectionStrategies() {
+  return Object.entries(STRATEGIES).map(([name, strategy]) => ({ name, label: strategy.label }));
+}
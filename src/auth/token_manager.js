@@ -5,7 +5,10 @@ import axios from 'axios';
 import { log } from '../utils/logger.js';
 import { generateProjectId, generateSessionId } from '../utils/idGenerator.js';
 import config from '../config/config.js';
-import { getUsageCountSince } from '../utils/log_store.js';
+import { getUsageCountSince, getUsageTimestampsSince } from '../utils/log_store.js';
+import { tokenRefreshFailuresTotal } from '../utils/metrics.js';
+import { getSelectionStrategy, normalizeSelectionStrategy } from './selection_strategies.js';
+import cooldownRegistry from './cooldown_registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +24,12 @@ class TokenManager {
     this.hourlyLimit = Number.isFinite(Number(config.credentials?.maxUsagePerHour))
       ? Number(config.credentials.maxUsagePerHour)
       : 20;
+    this.strategy = normalizeSelectionStrategy(config.credentials?.selectionStrategy);
+    this.maxConcurrentPerAccount = Number(config.credentials?.maxConcurrentPerAccount) || 0;
+    // 仅保存在内存中的策略状态，按 refresh_token 关联，避免写入 accounts.json
+    this.lastUsedAt = new Map();
+    this.weightState = new Map();
+    this.inFlight = new Map();
     this.initialize();
   }
 
@@ -41,6 +50,72 @@ class TokenManager {
     this.hourlyLimit = Number(limit);
   }
 
+  setStrategy(name) {
+    this.strategy = normalizeSelectionStrategy(name);
+    this.weightState.clear();
+    log.info(`账号选择策略已切换为 ${this.strategy}`);
+  }
+
+  // 0 表示不限制单账号并发
+  setMaxConcurrent(limit) {
+    const value = Number(limit);
+    this.maxConcurrentPerAccount = Number.isFinite(value) && value > 0 ? value : 0;
+  }
+
+  getInFlight(token) {
+    return this.inFlight.get(token.refresh_token) || 0;
+  }
+
+  hasCapacity(token) {
+    return !this.maxConcurrentPerAccount || this.getInFlight(token) < this.maxConcurrentPerAccount;
+  }
+
+  acquireSlot(token) {
+    this.inFlight.set(token.refresh_token, this.getInFlight(token) + 1);
+  }
+
+  releaseSlot(token) {
+    const current = this.getInFlight(token);
+    if (current <= 1) {
+      this.inFlight.delete(token.refresh_token);
+    } else {
+      this.inFlight.set(token.refresh_token, current - 1);
+    }
+  }
+
+  // 达到每小时上限的账号何时恢复：窗口内第 (usage - limit + 1) 次调用滑出一小时窗口的时刻
+  getHourlyResetAt(token) {
+    if (!this.hourlyLimit || Number.isNaN(this.hourlyLimit)) return null;
+    const windowMs = 60 * 60 * 1000;
+    const timestamps = getUsageTimestampsSince(token.projectId, Date.now() - windowMs);
+    if (timestamps.length < this.hourlyLimit) return null;
+    return timestamps[timestamps.length - this.hourlyLimit] + windowMs;
+  }
+
+  // 所有账号都不可用时，最早可能恢复的时间（每小时上限或模型冷却）；并发占满的账号由释放时唤醒，不计入
+  getNextAvailableAt(context = {}) {
+    let earliest = null;
+    this.tokens.forEach(token => {
+      if (!this.hasCapacity(token)) return;
+      const cooldown = context.model ? cooldownRegistry.getActive(token, context.model) : null;
+      const availableAt = Math.max(this.getHourlyResetAt(token) || 0, cooldown ? Date.parse(cooldown.until) : 0);
+      if (availableAt && (earliest === null || availableAt < earliest)) earliest = availableAt;
+    });
+    return earliest;
+  }
+
+  getLastUsedAt(token) {
+    return this.lastUsedAt.get(token.refresh_token) || 0;
+  }
+
+  getWeightState(token) {
+    return this.weightState.get(token.refresh_token) || 0;
+  }
+
+  setWeightState(token, value) {
+    this.weightState.set(token.refresh_token, value);
+  }
+
   isWithinHourlyLimit(token) {
     if (!this.hourlyLimit || Number.isNaN(this.hourlyLimit)) return true;
 
@@ -146,6 +221,7 @@ class TokenManager {
       this.saveToFile();
       return token;
     } catch (error) {
+      tokenRefreshFailuresTotal.inc({ status: error.response?.status || 'network' });
       throw { statusCode: error.response?.status, message: error.response?.data || error.message };
     }
   }
@@ -178,14 +254,28 @@ class TokenManager {
     this.currentIndex = this.currentIndex % Math.max(this.tokens.length, 1);
   }
 
-  async getToken() {
+  // context.model：请求的模型（quota_aware 使用）；context.exclude：需要跳过的 access_token 集合（重试切换账号时使用）
+  // context.reserve：选中时占用一个并发名额，调用方需在请求结束后 releaseSlot
+  async getToken(context = {}) {
     if (this.tokens.length === 0) return null;
 
-    let attempts = 0;
-    const totalTokens = this.tokens.length;
+    const strategy = getSelectionStrategy(this.strategy);
+    const candidates = strategy
+      .order(this, context)
+      .filter(token => !context.exclude?.has(token.access_token));
+
+    for (const token of candidates) {
+      // 候选账号可能在循环中被禁用移除
+      if (!this.tokens.includes(token)) continue;
+
+      const cooldown = context.model ? cooldownRegistry.getActive(token, context.model) : null;
+      if (cooldown) {
+        log.info(`账号 ${token.projectId || '未知'} 在 ${cooldown.family} 系列冷却中（至 ${cooldown.until}），跳过`);
+        continue;
+      }
+      if (!this.hasCapacity(token)) continue;
 
-    while (attempts < totalTokens) {
-      const token = this.tokens[this.currentIndex];
+      this.currentIndex = this.tokens.indexOf(token);
 
       try {
         if (this.isExpired(token)) {
@@ -204,26 +294,29 @@ class TokenManager {
                 log.warn(`...${token.access_token.slice(-8)}: 无资格获取projectId，跳过保存`);
                 this.disableToken(token);
                 if (this.tokens.length === 0) return null;
-                attempts += 1;
                 continue;
               }
               token.projectId = projectId;
               this.saveToFile();
             } catch (error) {
               log.error(`...${token.access_token.slice(-8)}: 获取projectId失败:`, error.message);
-              this.moveToNextToken();
-              attempts += 1;
               continue;
             }
           }
         }
 
         if (!this.isWithinHourlyLimit(token)) {
-          this.moveToNextToken();
-          attempts += 1;
           continue;
         }
 
+        // 刷新等异步步骤期间可能已被其他请求占满
+        if (context.reserve) {
+          if (!this.hasCapacity(token)) continue;
+          this.acquireSlot(token);
+        }
+
+        this.lastUsedAt.set(token.refresh_token, Date.now());
+        strategy.onSelect?.(this, token);
         return token;
       } catch (error) {
         if (error.statusCode === 403 || error.statusCode === 400) {
@@ -233,11 +326,8 @@ class TokenManager {
           if (this.tokens.length === 0) return null;
         } else {
           log.error(`Token ${this.currentIndex + 1} 刷新失败:`, error.message);
-          this.moveToNextToken();
         }
       }
-
-      attempts += 1;
     }
 
     return null;
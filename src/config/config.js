@@ -13,6 +13,7 @@ const envPath = '.env';
 const defaultEnv = `# 服务器配置
 PORT=8045
 HOST=0.0.0.0
+TRUST_PROXY=false # 部署在反向代理之后时填写代理跳数或代理地址（如 1、loopback），用于识别客户端真实 IP
 
 # API 配置
 API_URL=https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:streamGenerateContent?alt=sse
@@ -30,6 +31,7 @@ DEFAULT_MAX_TOKENS=8096
 # 安全配置
 MAX_REQUEST_SIZE=50mb
 API_KEY=sk-text
+METRICS_TOKEN= # /metrics 抓取专用令牌，留空时只能使用 API_KEY 访问
 
 # 其他配置
 USE_NATIVE_AXIOS=false
@@ -38,8 +40,15 @@ TIMEOUT=180000
 MAX_IMAGES=10 # 最大保存的图片数量，超过就会删除时间最早的
 # IMAGE_BASE_URL=http://your-domain.com  # 可选：自定义图片访问基础 URL，默认使用宿主机 IP 或本地回环
 CREDENTIAL_MAX_USAGE_PER_HOUR=20
+TOKEN_SELECTION_STRATEGY=sticky # sticky / round_robin / lru / least_used / weighted / quota_aware
+MAX_CONCURRENT_PER_ACCOUNT=0 # 单账号最大并发请求数，0 表示不限制
+REQUEST_QUEUE_MAX_SIZE=100 # 无可用账号时的最大排队请求数，0 表示不排队
+REQUEST_QUEUE_TIMEOUT_MS=30000 # 排队等待可用账号的超时时间
 RETRY_STATUS_CODES=429,500
 RETRY_MAX_ATTEMPTS=3
+SSE_HEARTBEAT_INTERVAL_MS=15000 # 流式响应心跳间隔，0 表示关闭
+MODELS_CACHE_TTL_MS=300000 # 模型列表缓存时长，0 表示每次都请求上游
+HIDDEN_MODELS= # 不在模型列表中展示的模型，逗号分隔，支持 * 通配
 
 SYSTEM_INSTRUCTION=
 `;
@@ -61,6 +70,20 @@ function parsePositiveInt(value, defaultValue) {
   return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
 }
 
+function parseNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
+// 对应 Express 的 trust proxy：false / true / 代理跳数 / 逗号分隔的可信代理地址
+function parseTrustProxy(value) {
+  const normalized = String(value ?? '').trim();
+  if (!normalized || normalized.toLowerCase() === 'false') return false;
+  if (normalized.toLowerCase() === 'true') return true;
+  if (/^\d+$/.test(normalized)) return parseInt(normalized, 10);
+  return normalized;
+}
+
 function resolveRequestLogLevel(value, defaultValue = 'all') {
   const normalized = String(value || '').toLowerCase();
   return ['off', 'error', 'all'].includes(normalized) ? normalized : defaultValue;
@@ -86,7 +109,8 @@ function loadConfigFromEnv() {
   const config = {
     server: {
       port: parseInt(flat.PORT ?? 8045, 10) || 8045,
-      host: flat.HOST || '0.0.0.0'
+      host: flat.HOST || '0.0.0.0',
+      trustProxy: parseTrustProxy(flat.TRUST_PROXY)
     },
     imageBaseUrl: flat.IMAGE_BASE_URL || null,
     maxImages: parseInt(flat.MAX_IMAGES ?? 10, 10) || 10,
@@ -116,11 +140,18 @@ function loadConfigFromEnv() {
     security: {
       maxRequestSize: flat.MAX_REQUEST_SIZE || '50mb',
       // 安全：API_KEY 永远只从环境变量（Docker 设置）读取
-      apiKey: flat.API_KEY || flat['API-KEY'] || process.env['API-KEY'] || null
+      apiKey: flat.API_KEY || flat['API-KEY'] || process.env['API-KEY'] || null,
+      metricsToken: flat.METRICS_TOKEN || null
     },
     credentials: {
       maxUsagePerHour:
-        parseInt(flat.CREDENTIAL_MAX_USAGE_PER_HOUR, 10) || 20
+        parseInt(flat.CREDENTIAL_MAX_USAGE_PER_HOUR, 10) || 20,
+      selectionStrategy: flat.TOKEN_SELECTION_STRATEGY || 'sticky',
+      maxConcurrentPerAccount: parseNonNegativeInt(flat.MAX_CONCURRENT_PER_ACCOUNT, 0)
+    },
+    queue: {
+      maxSize: parseNonNegativeInt(flat.REQUEST_QUEUE_MAX_SIZE, 100),
+      timeoutMs: parseNonNegativeInt(flat.REQUEST_QUEUE_TIMEOUT_MS, 30000)
     },
     retry: {
       statusCodes: (flat.RETRY_STATUS_CODES || '429,500')
@@ -130,6 +161,18 @@ function loadConfigFromEnv() {
       maxAttempts:
         parseInt(flat.RETRY_MAX_ATTEMPTS ?? 3, 10) || 3
     },
+    streaming: {
+      // 0 表示关闭心跳
+      heartbeatIntervalMs: parseNonNegativeInt(flat.SSE_HEARTBEAT_INTERVAL_MS, 15000)
+    },
+    models: {
+      // 0 表示不缓存
+      cacheTtlMs: parseNonNegativeInt(flat.MODELS_CACHE_TTL_MS, 300000),
+      hidden: String(flat.HIDDEN_MODELS || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+    },
     useNativeAxios: String(flat.USE_NATIVE_AXIOS).toLowerCase() !== 'false',
     timeout: parseInt(flat.TIMEOUT ?? 30000, 10) || 30000,
     proxy: flat.PROXY || null,
@@ -10,6 +10,7 @@ const DEFAULT_DATA_CONFIG = {
   // 服务器配置
   PORT: 8045,
   HOST: '0.0.0.0',
+  TRUST_PROXY: false,
 
   // API 配置
   API_URL: 'https://daily-cloudcode-pa.sandbox.googleapis.com/v1internal:streamGenerateContent?alt=sse',
@@ -26,13 +27,21 @@ const DEFAULT_DATA_CONFIG = {
 
   // 安全配置
   MAX_REQUEST_SIZE: '50mb',
+  METRICS_TOKEN: '',
 
   // 其他配置
   USE_NATIVE_AXIOS: false,
   TIMEOUT: 180000,
+  SSE_HEARTBEAT_INTERVAL_MS: 15000,
+  MODELS_CACHE_TTL_MS: 300000,
+  HIDDEN_MODELS: '',
   MAX_IMAGES: 10,
   IMAGE_BASE_URL: '',
   CREDENTIAL_MAX_USAGE_PER_HOUR: 20,
+  TOKEN_SELECTION_STRATEGY: 'sticky',
+  MAX_CONCURRENT_PER_ACCOUNT: 0,
+  REQUEST_QUEUE_MAX_SIZE: 100,
+  REQUEST_QUEUE_TIMEOUT_MS: 30000,
   RETRY_STATUS_CODES: '429,500',
   RETRY_MAX_ATTEMPTS: 3,
   SYSTEM_INSTRUCTION: '',
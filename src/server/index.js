@@ -1,17 +1,21 @@
 import express from 'express';
+import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { once } from 'events';
 import { parseToml } from '../utils/tomlParser.js';
 import {
   generateAssistantResponse,
   generateAssistantResponseNoStream,
   generateGeminiResponseNoStream,
-  getAvailableModels,
+  generateGeminiResponseStream,
   closeRequester,
-  refreshApiClientConfig
+  refreshApiClientConfig,
+  isAbortError
 } from '../api/client.js';
+import modelCatalog from '../api/model_catalog.js';
 import { generateRequestBody, generateRequestBodyFromGemini } from '../utils/utils.js';
 import { generateProjectId } from '../utils/idGenerator.js';
 import {
@@ -20,9 +24,35 @@ import {
   countClaudeTokens,
   ClaudeSseEmitter,
   buildClaudeContentBlocks,
-  estimateTokensFromText
+  estimateTokensFromText,
+  mapFinishReasonToClaude,
+  applyStopSequences
 } from '../utils/claudeAdapter.js';
+import {
+  parseGeminiModelAction,
+  countGeminiTokens,
+  buildGeminiModelList,
+  toGeminiModel,
+  buildGeminiError
+} from '../utils/geminiAdapter.js';
+import {
+  mapResponsesToOpenAI,
+  mapResponsesToolsToOpenAITools,
+  responseOutputToMessages,
+  ResponsesEmitter,
+  generateResponseId,
+  storeResponse,
+  getStoredResponse,
+  deleteStoredResponse
+} from '../utils/responsesAdapter.js';
+import {
+  isStructuredOutputRequested,
+  splitThinkingFromContent,
+  validateStructuredOutput
+} from '../utils/structuredOutput.js';
 import logger from '../utils/logger.js';
+import { LOG_EXPORT_FORMATS, csvHeader, toCsvRow, toJsonlLine, harPrefix, HAR_SUFFIX, toHarEntry } from '../utils/logExport.js';
+import metrics, { httpRequestsTotal, httpRequestDuration, streamTimeToFirstToken } from '../utils/metrics.js';
 import {
   loadDataConfig,
   getEffectiveConfig as getEffectiveDataConfig,
@@ -36,21 +66,46 @@ import { resolveProjectIdFromAccessToken, fetchUserEmail } from '../auth/project
 import {
   appendLog,
   getLogDetail,
-  getRecentLogs,
+  queryLogs,
+  iterateLogs,
   getUsageCountsWithinWindow,
   getUsageSummary,
-  clearLogs
+  getUsageTrends,
+  clearLogs,
+  flushUsageCounters
 } from '../utils/log_store.js';
+import { flushUsageRollups, ROLLUP_DIMENSIONS, ROLLUP_GRANULARITIES } from '../utils/usage_rollup.js';
 import quotaManager from '../auth/quota_manager.js';
+import cooldownRegistry from '../auth/cooldown_registry.js';
+import requestQueue from '../auth/request_queue.js';
+import apiKeyStore, { MASTER_KEY_NAME } from '../auth/api_keys.js';
+import {
+  getModelRoutes,
+  setModelRoutes,
+  routeModelRequest,
+  applyGeminiRouteParams,
+  findModelRoute
+} from '../utils/modelRoutes.js';
+import {
+  getModelCapabilities,
+  isKnownModel,
+  parseThinkingModel,
+  getCapabilityOverrides,
+  setCapabilityOverrides,
+  listModelCapabilities
+} from '../utils/modelCapabilities.js';
+import { isValidSelectionStrategy, listSelectionStrategies } from '../auth/selection_strategies.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+app.set('trust proxy', config.server.trustProxy);
 const ACCOUNTS_FILE = path.join(__dirname, '..', '..', 'data', 'accounts.json');
 const OAUTH_STATE = crypto.randomUUID();
 const PANEL_SESSION_TTL_MS = 2 * 60 * 60 * 1000; // 管理面板登录有效期：2 小时
-const SENSITIVE_HEADERS = ['authorization', 'cookie'];
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-goog-api-key', 'x-replay-secret'];
+const SENSITIVE_QUERY_KEYS = ['key'];
 
 function getPanelUser() {
   return config.panelUser || 'admin';
@@ -68,12 +123,25 @@ function sanitizeHeaders(headers = {}) {
   return result;
 }
 
+function sanitizeQuery(query = {}) {
+  const result = {};
+  Object.entries(query || {}).forEach(([key, value]) => {
+    result[key] = SENSITIVE_QUERY_KEYS.includes(String(key).toLowerCase()) ? '[REDACTED]' : value;
+  });
+  return result;
+}
+
+// Gemini SDK 通过 ?key= 传递密钥，写日志前需要从 URL 中抹掉
+function sanitizeUrl(url = '') {
+  return String(url).replace(/([?&]key=)[^&]*/gi, '$1[REDACTED]');
+}
+
 function createRequestSnapshot(req) {
   return {
-    path: req.originalUrl,
+    path: sanitizeUrl(req.originalUrl),
     method: req.method,
     headers: sanitizeHeaders(req.headers),
-    query: req.query,
+    query: sanitizeQuery(req.query),
     body: req.body
   };
 }
@@ -82,7 +150,8 @@ function summarizeStreamEvents(events = []) {
   const summary = { text: '', tool_calls: null, thinking: '' };
   events.forEach(event => {
     if (event?.type === 'tool_calls') {
-      summary.tool_calls = event.tool_calls;
+      // 工具调用按到达顺序逐个推送，这里汇总成完整列表
+      summary.tool_calls = [...(summary.tool_calls || []), ...(event.tool_calls || [])];
     } else if (event?.type === 'thinking') {
       summary.thinking += event.content || '';
     } else if (event?.content) {
@@ -175,6 +244,38 @@ const SETTINGS_DEFINITIONS = [
     defaultValue: 20,
     valueResolver: cfg => cfg.credentials.maxUsagePerHour
   },
+  {
+    key: 'TOKEN_SELECTION_STRATEGY',
+    label: '账号选择策略',
+    category: '限额与重试',
+    defaultValue: 'sticky',
+    valueResolver: cfg => cfg.credentials.selectionStrategy,
+    description:
+      'sticky 粘性轮询 / round_robin 逐请求轮询 / lru 最久未使用 / least_used 最近一小时调用最少 / weighted 按账号权重 / quota_aware 按模型剩余额度'
+  },
+  {
+    key: 'MAX_CONCURRENT_PER_ACCOUNT',
+    label: '单账号最大并发',
+    category: '限额与重试',
+    defaultValue: 0,
+    valueResolver: cfg => cfg.credentials.maxConcurrentPerAccount,
+    description: '单个账号同时处理的请求数上限，0 表示不限制'
+  },
+  {
+    key: 'REQUEST_QUEUE_MAX_SIZE',
+    label: '等待队列长度',
+    category: '限额与重试',
+    defaultValue: 100,
+    valueResolver: cfg => cfg.queue.maxSize,
+    description: '所有账号繁忙或达到上限时最多排队的请求数，0 表示不排队直接返回 503'
+  },
+  {
+    key: 'REQUEST_QUEUE_TIMEOUT_MS',
+    label: '排队超时(ms)',
+    category: '限额与重试',
+    defaultValue: 30000,
+    valueResolver: cfg => cfg.queue.timeoutMs
+  },
   {
     key: 'REQUEST_LOG_LEVEL',
     label: '调用日志级别',
@@ -221,6 +322,15 @@ const SETTINGS_DEFINITIONS = [
     valueResolver: cfg => cfg.security.apiKey || null,
     description: '保护 /v1/* 端点的访问'
   },
+  {
+    key: 'METRICS_TOKEN',
+    label: '指标抓取令牌',
+    category: '面板与安全',
+    defaultValue: null,
+    sensitive: true,
+    valueResolver: cfg => cfg.security.metricsToken || null,
+    description: 'Prometheus 抓取 /metrics 时使用的 Bearer 令牌；留空时只能使用 API 密钥'
+  },
   {
     key: 'MAX_REQUEST_SIZE',
     label: '最大请求体',
@@ -242,6 +352,14 @@ const SETTINGS_DEFINITIONS = [
     defaultValue: '0.0.0.0',
     valueResolver: cfg => cfg.server.host,
   },
+  {
+    key: 'TRUST_PROXY',
+    label: '可信反向代理',
+    category: '服务与网络',
+    defaultValue: false,
+    valueResolver: cfg => cfg.server.trustProxy,
+    description: '仅在部署于反向代理之后时设置：代理跳数（如 1）或可信代理地址（如 loopback）；客户端 IP 白名单依赖此项识别真实 IP'
+  },
   {
     key: 'API_URL',
     label: '流式接口 URL',
@@ -293,12 +411,37 @@ const SETTINGS_DEFINITIONS = [
     defaultValue: 180000,
     valueResolver: cfg => cfg.timeout
   },
+  {
+    key: 'SSE_HEARTBEAT_INTERVAL_MS',
+    label: '流式心跳间隔(ms)',
+    category: '服务与网络',
+    defaultValue: 15000,
+    valueResolver: cfg => cfg.streaming.heartbeatIntervalMs,
+    description: '等待上游（如长时间思考）期间定期发送心跳，防止反向代理断开空闲连接；0 表示关闭'
+  },
+  {
+    key: 'MODELS_CACHE_TTL_MS',
+    label: '模型列表缓存(ms)',
+    category: '服务与网络',
+    defaultValue: 300000,
+    valueResolver: cfg => cfg.models.cacheTtlMs,
+    description: '/v1/models 缓存上游模型列表与额度汇总的时长；0 表示每次都请求上游'
+  },
+  {
+    key: 'HIDDEN_MODELS',
+    label: '隐藏模型',
+    category: '服务与网络',
+    defaultValue: '',
+    valueResolver: cfg => cfg.models.hidden.join(','),
+    description: '不在模型列表中展示的模型，逗号分隔，支持 * 通配（如 chat_*）；仍可直接调用'
+  },
   {
     key: 'USE_NATIVE_AXIOS',
     label: '使用原生 Axios',
     category: '服务与网络',
     defaultValue: 'false',
-    valueResolver: cfg => cfg.useNativeAxios
+    valueResolver: cfg => cfg.useNativeAxios,
+    description: '默认的 requester 进程不支持中途取消，客户端断开后上游请求仍会继续消耗额度；开启后断开时会中止上游请求'
   },
   {
     key: 'DEFAULT_TEMPERATURE',
@@ -414,6 +557,125 @@ const setStreamHeaders = res => {
   res.setHeader('Connection', 'keep-alive');
 };
 
+// 客户端在响应结束前断开连接时中止上游请求，日志以 499 记为已取消
+const CLIENT_CLOSED_STATUS = 499;
+const CLIENT_CLOSED_MESSAGE = '客户端已断开连接，请求已取消';
+const CLIENT_CLOSED_UPSTREAM_RUNNING_MESSAGE = '客户端已断开连接，已停止转发；requester 不支持中途取消，上游请求仍会继续';
+
+// requester 路径只能停止转发，日志中不能记为已取消上游请求
+const getClientClosedLogFields = error => ({
+  success: false,
+  cancelled: true,
+  status: CLIENT_CLOSED_STATUS,
+  message: error?.upstreamCancelled === false ? CLIENT_CLOSED_UPSTREAM_RUNNING_MESSAGE : CLIENT_CLOSED_MESSAGE,
+  ...(error?.upstreamCancelled === false ? { upstreamCancelled: false } : {})
+});
+
+const createClientAbortSignal = res => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// 把 OpenAI / Claude / Responses / Gemini 的 usage 结构统一成日志中的 token 字段；
+// 与 OpenAI 口径一致，completionTokens 包含 reasoningTokens
+const getUsageTokens = usage => {
+  if (!usage || typeof usage !== 'object') return null;
+  const count = value => Number(value) || 0;
+  const reasoningTokens = count(
+    usage.completion_tokens_details?.reasoning_tokens ??
+      usage.output_tokens_details?.reasoning_tokens ??
+      usage.thoughtsTokenCount
+  );
+  const promptTokens = count(usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount);
+  const completionTokens = count(
+    usage.completion_tokens ??
+      usage.output_tokens ??
+      (usage.candidatesTokenCount !== undefined ? count(usage.candidatesTokenCount) + reasoningTokens : undefined)
+  );
+  const totalTokens = count(usage.total_tokens ?? usage.totalTokenCount) || promptTokens + completionTokens;
+  return totalTokens ? { promptTokens, completionTokens, reasoningTokens, totalTokens } : null;
+};
+
+// 调用日志中的客户端 API Key 名称与 token 用量
+const getClientLogFields = (req, responseBody) => ({
+  keyName: req.apiKeyName || null,
+  ...(getUsageTokens(responseBody?.usage || responseBody?.usageMetadata) || {}),
+  ...(req.replayOf ? { id: req.replayLogId, replayOf: req.replayOf } : {})
+});
+
+// 管理面板重放日志时可指定账号：与 /:credential 路由一样直接使用该账号，不排队；
+// 租约固定在该账号上，429 时也不切换，重放结果才能说明失败是否与账号有关
+const acquireRequestLease = async (req, context, options) => {
+  if (req.replayProjectId) {
+    return requestQueue.wrap(await tokenManager.getTokenByProjectId(req.replayProjectId), { pinned: true });
+  }
+  return requestQueue.acquire(context, options);
+};
+
+// 调用日志中的排队信息，未排队的请求不记录
+const getQueueLogFields = queueInfo =>
+  queueInfo?.queueDepth ? { queueWaitMs: queueInfo.waitMs, queueDepth: queueInfo.queueDepth } : {};
+
+// ===== 模型回退链 =====
+
+// 实际提供服务的模型（可能是回退链中的后备模型）
+const SERVED_MODEL_HEADER = 'X-Served-Model';
+
+const setServedModelHeader = (res, model) => {
+  if (model && !res.headersSent) res.setHeader(SERVED_MODEL_HEADER, model);
+};
+
+// 路由目标 + 回退链；已在所有账号上冷却的模型直接跳过，避免请求先排队等到超时（全部冷却时仍从头开始）
+const getModelChain = ({ model, fallbacks = [] }) => {
+  const chain = [model, ...fallbacks];
+  const start = chain.findIndex(item =>
+    tokenManager.tokens.some(token => !cooldownRegistry.isCoolingDown(token, item))
+  );
+  return start > 0 ? chain.slice(start) : chain;
+};
+
+// 依次尝试回退链中的模型：上一个模型配额耗尽（withRetry 已无账号可切换）且尚未向客户端输出内容时才改用下一个
+const runWithModelFallback = async (chain, attempt, { canFallback = () => true } = {}) => {
+  for (let index = 0; ; index += 1) {
+    try {
+      return await attempt(chain[index]);
+    } catch (error) {
+      const next = chain[index + 1];
+      if (!next || !error?.quotaExhausted || !canFallback()) throw error;
+      logger.warn(`模型 ${chain[index]} 配额耗尽，回退到 ${next}`);
+    }
+  }
+};
+
+const getFallbackLogFields = (routedModel, servedModel) =>
+  servedModel && servedModel !== routedModel ? { fallbackFrom: routedModel } : {};
+
+// SSE 心跳：按间隔写入注释行（或由调用方提供的 ping），响应结束或连接关闭时停止。
+// 响应头随首个数据或心跳发出；上游开始返回流（markUpstreamStreamStarted）之前不发心跳，
+// 否则重试 / 回退到后备模型时响应头已带着原始模型发出，X-Served-Model 无法再更新
+const startStreamHeartbeat = (res, sendPing = () => res.write(': ping\n\n')) => {
+  const intervalMs = config.streaming.heartbeatIntervalMs;
+  if (!intervalMs) return;
+
+  const timer = setInterval(() => {
+    if (res.writableEnded || res.destroyed) {
+      clearInterval(timer);
+      return;
+    }
+    if (!res.headersSent && !res.locals.upstreamStreamStarted) return;
+    sendPing();
+  }, intervalMs);
+  res.on('close', () => clearInterval(timer));
+};
+
+// 作为 options.onStreamStart 传给流式请求：上游已以 200 开始返回，模型不会再回退，可以发出响应头与心跳
+const markUpstreamStreamStarted = res => {
+  res.locals.upstreamStreamStarted = true;
+};
+
 const createStreamChunk = (id, created, model, delta, finish_reason = null, usage = null) => ({
   id,
   object: 'chat.completion.chunk',
@@ -427,12 +689,34 @@ const writeStreamData = (res, data) => {
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 };
 
+// 上游 finishReason 映射为 OpenAI finish_reason
+const OPENAI_FINISH_REASONS = {
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter'
+};
+
+const mapFinishReasonToOpenAI = (finishReason, hasToolCalls = false) => {
+  if (hasToolCalls) return 'tool_calls';
+  return OPENAI_FINISH_REASONS[String(finishReason || '').toUpperCase()] || 'stop';
+};
+
 const endStream = (res, id, created, model, finish_reason, usage = null) => {
   writeStreamData(res, createStreamChunk(id, created, model, {}, finish_reason, usage));
   res.write('data: [DONE]\n\n');
   res.end();
 };
 
+// ===== Helper functions for Gemini-compatible responses =====
+
+const GEMINI_PATH_PREFIX = '/v1beta/';
+
+const sendGeminiError = (res, status, message) => res.status(status).json(buildGeminiError(status, message));
+
 // ===== Global middleware =====
 
 app.use(express.json({ limit: config.security.maxRequestSize }));
@@ -456,12 +740,7 @@ app.use((req, res, next) => {
   if (!req.path.startsWith('/images') && !req.path.startsWith('/favicon.ico')) {
     const start = Date.now();
     res.on('finish', () => {
-      const clientIP = req.headers['x-forwarded-for'] ||
-        req.headers['x-real-ip'] ||
-        req.connection?.remoteAddress ||
-        req.socket?.remoteAddress ||
-        req.ip ||
-        'unknown';
+      const clientIP = getClientIp(req);
       const userAgent = req.headers['user-agent'] || '';
       logger.request(req.method, req.path, res.statusCode, Date.now() - start, clientIP, userAgent);
     });
@@ -477,10 +756,10 @@ app.get('/', (req, res) => {
   return res.redirect('/admin/login');
 });
 
-// API key check for /v1/* 以及 /{credential}/v1/* endpoints（API_KEY 在启动时强制要求配置）
+// API key check for /v1/*、/v1beta/* 以及 /{credential}/v1/* endpoints（API_KEY 在启动时强制要求配置）
 const isProtectedApiPath = pathname => {
   const normalized = pathname || '';
-  return /^\/(?:[\w-]+\/)?v1\//.test(normalized);
+  return /^\/(?:[\w-]+\/)?v1\//.test(normalized) || normalized.startsWith(GEMINI_PATH_PREFIX);
 };
 
 function extractApiKeyFromHeaders(req) {
@@ -491,6 +770,7 @@ function extractApiKeyFromHeaders(req) {
   // 兼容各种大小写/横线/下划线写法
   const candidates = [
     headers['x-api-key'],
+    headers['x-goog-api-key'],
     headers['api-key'],
     headers['x-api_key'],
     headers['api_key']
@@ -498,41 +778,185 @@ function extractApiKeyFromHeaders(req) {
   return candidates.find(v => v) || null;
 }
 
+// 只信任 Express 按 TRUST_PROXY 解析出的 req.ip，客户端自带的 X-Forwarded-For / X-Real-IP 不能直接使用，
+// 否则任何人都能伪造 IP 通过 API Key 的 IP 白名单
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// 编码错误（如单独的 %）时返回 null，而不是抛出 URIError
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+// 客户端请求的模型名；Gemini 原生接口的模型在路径中（编码无效时为 null，由鉴权中间件返回 400）
+function getRequestedModel(req) {
+  if (req.path.startsWith(GEMINI_PATH_PREFIX)) {
+    const match = /^\/v1beta\/models\/([^/]+)$/.exec(req.path);
+    const decoded = match ? safeDecodeURIComponent(match[1]) : null;
+    return decoded ? parseGeminiModelAction(decoded).model : null;
+  }
+  return typeof req.body?.model === 'string' ? req.body.model : null;
+}
+
+// 校验 API Key 模型白名单用：按路由解析出实际会请求上游的模型（路由目标及回退链），避免别名绕过白名单
+function getUpstreamModelsForRequest(req) {
+  const requested = getRequestedModel(req);
+  if (!requested) return [];
+  const { model, fallbacks } = routeModelRequest(requested);
+  return [...new Set([model, ...fallbacks])];
+}
+
 function validateApiKey(req) {
   const apiKey = config.security?.apiKey;
-  const providedKey = extractApiKeyFromHeaders(req);
+  // Gemini SDK 默认使用 ?key= 查询参数
+  const providedKey = extractApiKeyFromHeaders(req) || req.query?.key || null;
 
   if (!apiKey) {
     return { ok: false, status: 503, message: 'API Key 未配置' };
   }
 
-  if (!providedKey || providedKey !== apiKey) {
+  if (providedKey === apiKey) {
+    // 重放按原日志的客户端密钥校验模型白名单与预算，并以该密钥名记录日志和用量；
+    // 重放由面板发起，日志也未保存原始客户端 IP，因此不校验该密钥的 IP 白名单
+    const replayKeyName = isTrustedReplay(req) ? safeDecodeURIComponent(req.headers[REPLAY_HEADERS.keyName] || '') : null;
+    if (!replayKeyName || replayKeyName === MASTER_KEY_NAME) {
+      return { ok: true, keyName: MASTER_KEY_NAME };
+    }
+    const replayEntry = apiKeyStore.findByName(replayKeyName);
+    if (!replayEntry) {
+      return { ok: false, status: 401, message: `API Key ${replayKeyName} 已不存在，无法按原密钥重放` };
+    }
+    return authorizeApiKey(req, replayEntry, { checkIp: false });
+  }
+
+  const entry = apiKeyStore.findByKey(providedKey);
+  if (!entry) {
     return { ok: false, status: 401, message: 'Invalid API Key' };
   }
 
-  return { ok: true };
+  return authorizeApiKey(req, entry);
+}
+
+function authorizeApiKey(req, entry, { checkIp = true } = {}) {
+  const result = apiKeyStore.authorize(entry, {
+    models: getUpstreamModelsForRequest(req),
+    ip: getClientIp(req),
+    checkIp
+  });
+  return result.ok ? { ok: true, keyName: entry.name } : result;
+}
+
+// 日志重放通过本机回环请求重新走一遍原路由；只有带上本进程随机生成的密钥时才信任重放相关的请求头。
+// key-name 为原日志的客户端密钥名（URL 编码，密钥名可能含中文）
+const REPLAY_SECRET = crypto.randomBytes(24).toString('hex');
+const REPLAY_HEADERS = {
+  secret: 'x-replay-secret',
+  of: 'x-replay-of',
+  projectId: 'x-replay-project-id',
+  keyName: 'x-replay-key-name'
+};
+// 重放请求预先分配日志 id 并通过响应头返回，面板按 id 直接读取重放日志
+const REPLAY_LOG_ID_HEADER = 'X-Replay-Log-Id';
+
+function isTrustedReplay(req) {
+  return req.headers[REPLAY_HEADERS.secret] === REPLAY_SECRET;
+}
+
+function markReplayRequest(req, res) {
+  if (!isTrustedReplay(req)) return;
+  req.replayOf = req.headers[REPLAY_HEADERS.of] || null;
+  req.replayProjectId = req.headers[REPLAY_HEADERS.projectId] || null;
+  req.replayLogId = crypto.randomUUID();
+  res.setHeader(REPLAY_LOG_ID_HEADER, req.replayLogId);
 }
 
 function requireApiKey(req, res, next) {
   const result = validateApiKey(req);
   if (!result.ok) {
-    logger.warn(`API Key 鉴权失败: ${req.method} ${req.originalUrl || req.url}`);
+    logger.warn(`API Key 鉴权失败: ${req.method} ${sanitizeUrl(req.originalUrl || req.url)}`);
     return res.status(result.status).json({ error: result.message });
   }
+  req.apiKeyName = result.keyName;
   return next();
 }
 
 app.use((req, res, next) => {
   if (isProtectedApiPath(req.path)) {
+    if (req.path.startsWith(GEMINI_PATH_PREFIX) && safeDecodeURIComponent(req.path) === null) {
+      return sendGeminiError(res, 400, '请求路径编码无效');
+    }
     const result = validateApiKey(req);
     if (!result.ok) {
       logger.warn(`API Key 鉴权失败: ${req.method} ${req.path}`);
+      if (req.path.startsWith(GEMINI_PATH_PREFIX)) {
+        return sendGeminiError(res, result.status, result.message);
+      }
       return res.status(result.status).json({ error: result.message });
     }
+    req.apiKeyName = result.keyName;
+    markReplayRequest(req, res);
   }
   next();
 });
 
+// 流式心跳（SSE 注释、Claude ping、Gemini 空行）不计入首字时间
+const isHeartbeatChunk = chunk => {
+  const text = String(chunk ?? '');
+  return !text.trim() || text.startsWith(':') || text.startsWith('event: ping');
+};
+
+const OTHER_MODEL_LABEL = 'other';
+
+// 指标中的模型标签：上游已知模型（含 -thinking-<budget> 写法）取模型 id，命中路由的取路由目标，
+// 其余（包括尚未拉取过模型列表时）一律归为 other，客户端随意填写的模型名不会产生新的时间序列
+function getMetricsModelLabel(req) {
+  const requested = getRequestedModel(req);
+  if (!requested) return '';
+  const { model } = parseThinkingModel(requested);
+  if (isKnownModel(model)) return model;
+  return findModelRoute(requested)?.target || OTHER_MODEL_LABEL;
+}
+
+// Prometheus 指标：API 请求计数、耗时与流式首字时间；route 取匹配到的路由模板、model 经 getMetricsModelLabel 归一，避免标签基数失控
+app.use((req, res, next) => {
+  if (!isProtectedApiPath(req.path)) return next();
+
+  const start = performance.now();
+  let firstChunkAt = null;
+  const write = res.write;
+  res.write = function (chunk, ...args) {
+    if (firstChunkAt === null && !isHeartbeatChunk(chunk)) firstChunkAt = performance.now();
+    return write.call(this, chunk, ...args);
+  };
+
+  res.on('close', () => {
+    const route = req.route?.path || 'unmatched';
+    const model = getMetricsModelLabel(req);
+    const status = res.statusCode;
+    httpRequestsTotal.inc({ route, model, status });
+    httpRequestDuration.observe({ route, model, status }, (performance.now() - start) / 1000);
+    if (firstChunkAt !== null) {
+      streamTimeToFirstToken.observe({ route, model }, (firstChunkAt - start) / 1000);
+    }
+  });
+  next();
+});
+
+metrics.gauge('antigravity_accounts', 'Accounts by state; cooling_down counts enabled accounts with an active model cooldown', () => {
+  const accounts = readAccountsSafe();
+  const enabled = accounts.filter(acc => acc.enable);
+  return [
+    { labels: { state: 'enabled' }, value: enabled.length },
+    { labels: { state: 'disabled' }, value: accounts.length - enabled.length },
+    { labels: { state: 'cooling_down' }, value: enabled.filter(acc => acc.cooldowns.length > 0).length }
+  ];
+});
+
 // 简单健康检查接口，用于 Docker / 监控探活
 app.get('/healthz', (req, res) => {
   const now = new Date();
@@ -545,10 +969,22 @@ app.get('/healthz', (req, res) => {
     status: 'ok',
     uptime: process.uptime(),
     serverTime,
-    chinaTime
+    chinaTime,
+    queue: requestQueue.getStats()
   });
 });
 
+// Prometheus 抓取接口：使用 API_KEY 或单独的 METRICS_TOKEN
+app.get('/metrics', (req, res) => {
+  const providedKey = extractApiKeyFromHeaders(req);
+  const allowedKeys = [config.security.apiKey, config.security.metricsToken].filter(Boolean);
+  if (!providedKey || !allowedKeys.includes(providedKey)) {
+    return res.status(401).json({ error: 'Invalid API Key' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.send(metrics.render());
+});
+
 // ===== OAuth + simple admin panel =====
 
 function getSessionTokenFromReq(req) {
@@ -603,6 +1039,8 @@ function readAccountsSafe() {
       projectId: acc.projectId || null,
       email: acc.email || acc.user_email || acc.userEmail || null,
       enable: acc.enable !== false,
+      weight: Number(acc.weight) > 0 ? Number(acc.weight) : 1,
+      cooldowns: cooldownRegistry.list(acc),
       hasRefreshToken: !!acc.refresh_token,
       createdAt: acc.timestamp || null,
       expiresIn: acc.expires_in || null,
@@ -1214,6 +1652,98 @@ app.post('/auth/accounts/:index/enable', requirePanelAuthApi, (req, res) => {
   }
 });
 
+// 设置账号权重（weighted 策略使用）
+app.post('/auth/accounts/:index/weight', requirePanelAuthApi, (req, res) => {
+  const index = Number.parseInt(req.params.index, 10);
+  const weight = Number(req.body?.weight);
+  if (Number.isNaN(index)) return res.status(400).json({ error: '无效的账号序号' });
+  if (!Number.isFinite(weight) || weight <= 0) return res.status(400).json({ error: '权重必须为正数' });
+
+  try {
+    const accounts = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8'));
+    if (!accounts[index]) return res.status(404).json({ error: '账号不存在' });
+    accounts[index].weight = weight;
+    fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2), 'utf-8');
+    tokenManager.initialize();
+    res.json({ success: true, weight });
+  } catch (e) {
+    logger.error('更新账号权重失败', e.message);
+    res.status(500).json({ error: e.message || '更新失败' });
+  }
+});
+
+// ===== 模型路由表 =====
+
+app.get('/admin/model-routes', requirePanelAuthApi, (req, res) => {
+  res.json({ routes: getModelRoutes() });
+});
+
+app.post('/admin/model-routes', requirePanelAuthApi, (req, res) => {
+  try {
+    const routes = setModelRoutes(req.body?.routes);
+    res.json({ success: true, routes });
+  } catch (e) {
+    res.status(400).json({ error: e.message || '保存失败' });
+  }
+});
+
+// ===== 模型能力 =====
+
+app.get('/admin/model-capabilities', requirePanelAuthApi, (req, res) => {
+  res.json({ overrides: getCapabilityOverrides(), models: listModelCapabilities() });
+});
+
+app.post('/admin/model-capabilities', requirePanelAuthApi, (req, res) => {
+  try {
+    const overrides = setCapabilityOverrides(req.body?.overrides);
+    res.json({ success: true, overrides, models: listModelCapabilities() });
+  } catch (e) {
+    res.status(400).json({ error: e.message || '保存失败' });
+  }
+});
+
+// ===== 客户端 API Key 管理 =====
+
+app.get('/admin/keys', requirePanelAuthApi, (req, res) => {
+  const usageByKey = getUsageSummary('keyName');
+  const emptyUsage = { total: 0, success: 0, failed: 0, totalTokens: 0, lastUsedAt: null, models: [] };
+  const keys = apiKeyStore.list().map(entry => ({
+    ...entry,
+    ...apiKeyStore.getUsage(entry),
+    usage: usageByKey[entry.name] || emptyUsage
+  }));
+  res.json({
+    keys,
+    master: { name: MASTER_KEY_NAME, usage: usageByKey[MASTER_KEY_NAME] || emptyUsage }
+  });
+});
+
+app.post('/admin/keys', requirePanelAuthApi, (req, res) => {
+  try {
+    const entry = apiKeyStore.create(req.body || {});
+    res.json({ success: true, key: entry });
+  } catch (e) {
+    res.status(400).json({ error: e.message || '创建失败' });
+  }
+});
+
+app.post('/admin/keys/:id', requirePanelAuthApi, (req, res) => {
+  try {
+    const entry = apiKeyStore.update(req.params.id, req.body || {});
+    if (!entry) return res.status(404).json({ error: 'API Key 不存在' });
+    res.json({ success: true, key: entry });
+  } catch (e) {
+    res.status(400).json({ error: e.message || '更新失败' });
+  }
+});
+
+app.delete('/admin/keys/:id', requirePanelAuthApi, (req, res) => {
+  if (!apiKeyStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'API Key 不存在' });
+  }
+  res.json({ success: true });
+});
+
 app.get('/admin/settings', requirePanelAuthApi, (req, res) => {
   res.json(buildSettingsPayload());
 });
@@ -1237,6 +1767,11 @@ app.post('/admin/settings', requirePanelAuthApi, (req, res) => {
     });
   }
 
+  if (key === 'TOKEN_SELECTION_STRATEGY' && value && !isValidSelectionStrategy(String(value).trim().toLowerCase())) {
+    const names = listSelectionStrategies().map(item => item.name).join(', ');
+    return res.status(400).json({ error: `不支持的账号选择策略: ${value}，可选值: ${names}` });
+  }
+
   try {
     const newConfig = updateEnvValues({ [key]: value ?? '' });
 
@@ -1248,6 +1783,36 @@ app.post('/admin/settings', requirePanelAuthApi, (req, res) => {
       tokenManager.setHourlyLimit(newConfig.credentials.maxUsagePerHour);
     }
 
+    if (key === 'TOKEN_SELECTION_STRATEGY' && typeof tokenManager.setStrategy === 'function') {
+      tokenManager.setStrategy(newConfig.credentials.selectionStrategy);
+    }
+
+    if (key === 'SSE_HEARTBEAT_INTERVAL_MS') {
+      config.streaming.heartbeatIntervalMs = newConfig.streaming.heartbeatIntervalMs;
+    }
+
+    if (key === 'METRICS_TOKEN') {
+      config.security.metricsToken = newConfig.security.metricsToken;
+    }
+
+    if (key === 'TRUST_PROXY') {
+      config.server.trustProxy = newConfig.server.trustProxy;
+      app.set('trust proxy', config.server.trustProxy);
+    }
+
+    if (key === 'MODELS_CACHE_TTL_MS' || key === 'HIDDEN_MODELS') {
+      config.models = newConfig.models;
+      modelCatalog.invalidate();
+    }
+
+    if (key === 'MAX_CONCURRENT_PER_ACCOUNT') {
+      tokenManager.setMaxConcurrent(newConfig.credentials.maxConcurrentPerAccount);
+    }
+
+    if (key === 'REQUEST_QUEUE_MAX_SIZE' || key === 'REQUEST_QUEUE_TIMEOUT_MS') {
+      requestQueue.configure(newConfig.queue);
+    }
+
     if (key === 'USE_NATIVE_AXIOS' && typeof refreshApiClientConfig === 'function') {
       refreshApiClientConfig();
     }
@@ -1273,6 +1838,23 @@ app.get('/admin/logs/usage', requirePanelAuthApi, (req, res) => {
   res.json({ windowMinutes, limitPerCredential, usage, updatedAt: new Date().toISOString() });
 });
 
+// 用量趋势：granularity 为 hour / day，groupBy 为 model / projectId / keyName，from / to 同调用日志筛选
+app.get('/admin/usage/trends', requirePanelAuthApi, (req, res) => {
+  const granularity = req.query.granularity || 'day';
+  const groupBy = req.query.groupBy || 'model';
+  if (!ROLLUP_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity 仅支持 ${ROLLUP_GRANULARITIES.join(' / ')}` });
+  }
+  if (!ROLLUP_DIMENSIONS.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy 仅支持 ${ROLLUP_DIMENSIONS.join(' / ')}` });
+  }
+  const { from, to } = parseLogFilters(req.query);
+  if (from !== null && to !== null && to < from) {
+    return res.status(400).json({ error: 'to 不能早于 from' });
+  }
+  res.json(getUsageTrends({ granularity, groupBy, from, to }));
+});
+
 // 调用日志配置：仅影响管理面板里的调用日志存储，不影响终端控制台输出
 app.get('/admin/logs/settings', requirePanelAuthApi, (req, res) => {
   const raw = (config.logging.requestLogLevel || '').toLowerCase();
@@ -1306,9 +1888,90 @@ app.post('/admin/logs/settings', requirePanelAuthApi, (req, res) => {
 });
 
 // Recent request logs
+// 调用日志筛选参数：from / to 接受 ISO 时间或毫秒时间戳，status 接受状态码或 4xx / 5xx，success 为 true / false
+function parseLogFilters(query = {}) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const time = value => {
+    if (!text(value)) return null;
+    const timestamp = /^\d+$/.test(value.trim()) ? Number(value) : Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  };
+  return {
+    from: time(query.from),
+    to: time(query.to),
+    model: text(query.model),
+    projectId: text(query.projectId),
+    keyName: text(query.keyName),
+    path: text(query.path),
+    status: text(query.status),
+    success: query.success === 'true' ? true : query.success === 'false' ? false : null,
+    q: text(query.q)
+  };
+}
+
+// 按时间倒序分页，下一页传入上次返回的 nextCursor
 app.get('/admin/logs', requirePanelAuthApi, (req, res) => {
-  const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : 200;
-  res.json({ logs: getRecentLogs(limit) });
+  const parsedLimit = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, 500) : 200;
+  const result = queryLogs(parseLogFilters(req.query), { limit, cursor: req.query.cursor || null });
+  res.json({ ...result, logs: result.logs.map(sanitizeLogEntry) });
+});
+
+// 详情中的请求 / 响应头在导出前再脱敏一次（兼容脱敏规则调整前写入的旧日志）
+function sanitizeLogDetail(detail) {
+  if (!detail) return null;
+  const sanitizePart = part =>
+    part ? { ...part, headers: sanitizeHeaders(part.headers), ...(part.path ? { path: sanitizeUrl(part.path) } : {}) } : part;
+  return { ...detail, request: sanitizePart(detail.request), response: sanitizePart(detail.response) };
+}
+
+// 旧版本写入的日志路径可能带有未脱敏的 ?key=，返回给面板或导出前统一处理
+const sanitizeLogEntry = entry => (entry?.path ? { ...entry, path: sanitizeUrl(entry.path) } : entry);
+
+// 导出调用日志：format 为 jsonl / csv / har，筛选参数与 /admin/logs 相同；details=true 时附带解压后的请求 / 响应详情（csv 不含详情）
+app.get('/admin/logs/export', requirePanelAuthApi, async (req, res) => {
+  const format = String(req.query.format || 'jsonl').toLowerCase();
+  const formatInfo = LOG_EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    return res.status(400).json({ error: `不支持的导出格式: ${format}，可选值: ${Object.keys(LOG_EXPORT_FORMATS).join(', ')}` });
+  }
+  const includeDetails = format !== 'csv' && req.query.details === 'true';
+  const readExportDetail = entry => (entry.detailRef ? sanitizeLogDetail(getLogDetail(entry.id)?.detail) : null);
+
+  const fileName = `request-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${formatInfo.extension}`;
+  res.setHeader('Content-Type', formatInfo.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  // 逐条写出，缓冲区满时等待 drain，避免一次性把全部日志与详情读入内存
+  const write = async chunk => {
+    if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  try {
+    if (format === 'csv') await write(csvHeader());
+    if (format === 'har') await write(harPrefix());
+
+    let index = 0;
+    for (const rawEntry of iterateLogs(parseLogFilters(req.query))) {
+      if (res.destroyed) return;
+      const entry = sanitizeLogEntry(rawEntry);
+      if (format === 'csv') {
+        await write(toCsvRow(entry));
+      } else if (format === 'har') {
+        const harEntry = toHarEntry(entry, includeDetails ? readExportDetail(entry) : null);
+        await write(`${index > 0 ? ',' : ''}${JSON.stringify(harEntry)}`);
+      } else {
+        await write(toJsonlLine(entry, includeDetails ? readExportDetail(entry) : undefined));
+      }
+      index += 1;
+    }
+
+    if (format === 'har') await write(HAR_SUFFIX);
+    return res.end();
+  } catch (e) {
+    logger.error('导出调用日志失败:', e.message || e);
+    return res.destroy(e);
+  }
 });
 
 app.post('/admin/logs/clear', requirePanelAuthApi, (req, res) => {
@@ -1324,10 +1987,119 @@ app.post('/admin/logs/clear', requirePanelAuthApi, (req, res) => {
   }
 });
 
+const parseReplayBody = data => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+// 重放请求的日志在响应结束后写入，稍作等待后按响应头中的日志 id 读取
+async function findReplayLog(logId) {
+  if (!logId) return null;
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const found = getLogDetail(logId);
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+const getLoggedModelOutput = detail => detail?.response?.modelOutput ?? detail?.response?.body ?? null;
+
+// 重放日志中保存的原始请求：可覆盖账号（projectId）、模型（model）与请求参数（params，浅合并到请求体）
+app.post('/admin/logs/:id/replay', requirePanelAuthApi, async (req, res) => {
+  const original = getLogDetail(req.params.id);
+  if (!original) return res.status(404).json({ error: '日志不存在或已过期' });
+
+  const snapshot = original.detail?.request;
+  if (!snapshot?.path || !snapshot.body || typeof snapshot.body !== 'object') {
+    return res.status(400).json({ error: '该日志没有保存请求详情，无法重放' });
+  }
+
+  const { projectId, model, params } = req.body || {};
+  if (params !== undefined && (!params || typeof params !== 'object' || Array.isArray(params))) {
+    return res.status(400).json({ error: 'params 必须是对象' });
+  }
+  if (projectId && !tokenManager.tokens.some(token => token.projectId === projectId)) {
+    return res.status(400).json({ error: `账号 ${projectId} 不存在或已停用` });
+  }
+
+  // 快照中的 ?key= 已脱敏，回环请求用 API_KEY 鉴权，再通过重放请求头按原日志的客户端密钥校验与记账
+  const url = new URL(snapshot.path, 'http://localhost');
+  url.searchParams.delete('key');
+  if (String(snapshot.method || 'POST').toUpperCase() !== 'POST' || !isProtectedApiPath(url.pathname)) {
+    return res.status(400).json({ error: '只能重放 API 调用日志' });
+  }
+
+  const body = { ...snapshot.body, ...(params || {}) };
+  if (model) {
+    if (url.pathname.startsWith(GEMINI_PATH_PREFIX)) {
+      const match = /^\/v1beta\/models\/([^/]+)$/.exec(url.pathname);
+      const { action } = parseGeminiModelAction(safeDecodeURIComponent(match?.[1] || '') || '');
+      url.pathname = `/v1beta/models/${encodeURIComponent(model)}${action ? `:${action}` : ''}`;
+    } else {
+      body.model = model;
+    }
+  }
+
+  const host = ['0.0.0.0', '::', ''].includes(config.server.host || '') ? '127.0.0.1' : config.server.host;
+  const startedAt = Date.now();
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `http://${host.includes(':') ? `[${host}]` : host}:${config.server.port}${url.pathname}${url.search}`,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.security.apiKey}`,
+        [REPLAY_HEADERS.secret]: REPLAY_SECRET,
+        [REPLAY_HEADERS.of]: original.id,
+        ...(original.keyName ? { [REPLAY_HEADERS.keyName]: encodeURIComponent(original.keyName) } : {}),
+        ...(projectId ? { [REPLAY_HEADERS.projectId]: projectId } : {})
+      },
+      data: body,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true,
+      timeout: config.timeout,
+      proxy: false
+    });
+
+    const replayLog = await findReplayLog(response.headers[REPLAY_LOG_ID_HEADER.toLowerCase()]);
+    return res.json({
+      original: {
+        id: original.id,
+        status: original.status ?? null,
+        success: original.success,
+        model: original.model || null,
+        projectId: original.projectId || null,
+        durationMs: original.durationMs ?? null,
+        message: original.message || null,
+        output: getLoggedModelOutput(original.detail)
+      },
+      replay: {
+        logId: replayLog?.id || null,
+        status: response.status,
+        success: response.status < 400 && replayLog?.success !== false,
+        model: response.headers['x-served-model'] || replayLog?.model || body.model || null,
+        projectId: replayLog?.projectId || projectId || null,
+        durationMs: Date.now() - startedAt,
+        message: replayLog?.message || null,
+        request: { path: `${url.pathname}${url.search}`, body },
+        output: replayLog ? getLoggedModelOutput(replayLog.detail) : parseReplayBody(response.data)
+      }
+    });
+  } catch (e) {
+    logger.error('重放调用日志失败:', e.message || e);
+    return res.status(502).json({ error: `重放失败: ${e.message || e}` });
+  }
+});
+
 app.get('/admin/logs/:id', requirePanelAuthApi, (req, res) => {
   const detail = getLogDetail(req.params.id);
   if (!detail) return res.status(404).json({ error: '日志不存在或已过期' });
-  res.json({ log: detail });
+  res.json({ log: { ...sanitizeLogEntry(detail), detail: sanitizeLogDetail(detail.detail) } });
 });
 
 function parseQuotaIndexes(rawIndexes, total) {
@@ -1537,7 +2309,13 @@ app.use('/admin', (req, res, next) => {
 // ===== API routes =====
 
 const createChatCompletionHandler = (resolveToken, options = {}) => async (req, res) => {
-  const { messages, model, stream = true, tools, ...params } = req.body || {};
+  const { messages, model: requestedModel, stream = true, tools, ...requestParams } = req.body || {};
+  // 模型路由：别名 / 通配名映射到上游模型，并应用路由上的参数覆盖
+  const routed = routeModelRequest(requestedModel, requestParams);
+  const { model, params, alias: modelAlias } = routed;
+  // 配额耗尽时按回退链改用后备模型，servedModel 记录实际提供服务的模型
+  const modelChain = getModelChain(routed);
+  let servedModel = modelChain[0];
   const startedAt = Date.now();
   const requestSnapshot = createRequestSnapshot(req);
   const streamEventsForLog = [];
@@ -1545,16 +2323,23 @@ const createChatCompletionHandler = (resolveToken, options = {}) => async (req,
   let responseSummaryForLog = null;
 
   let token = null;
-  const writeLog = ({ success, status, message }) => {
+  let lease = null;
+  let queueInfo = null;
+  const writeLog = ({ success, status, message, cancelled = false }) => {
     appendLog({
       timestamp: new Date().toISOString(),
-      model: model || req.body?.model || 'unknown',
-      projectId: token?.projectId || null,
+      model: servedModel || req.body?.model || 'unknown',
+      ...(modelAlias ? { requestedModel: modelAlias } : {}),
+      ...getFallbackLogFields(model, servedModel),
+      projectId: (lease?.token || token)?.projectId || null,
+      ...getClientLogFields(req, responseBodyForLog),
+      ...getQueueLogFields(queueInfo),
       success,
+      ...(cancelled ? { cancelled: true } : {}),
       status,
       message,
       durationMs: Date.now() - startedAt,
-      path: req.originalUrl,
+      path: sanitizeUrl(req.originalUrl),
       method: req.method,
       detail: {
         request: requestSnapshot,
@@ -1570,7 +2355,7 @@ const createChatCompletionHandler = (resolveToken, options = {}) => async (req,
     if (logger.detail) {
       logger.detail({
         method: req.method,
-        path: req.originalUrl,
+        path: sanitizeUrl(req.originalUrl),
         status,
         durationMs: Date.now() - startedAt,
         request: requestSnapshot,
@@ -1591,7 +2376,10 @@ const createChatCompletionHandler = (resolveToken, options = {}) => async (req,
       return;
     }
 
-    token = await resolveToken(req);
+    const abortSignal = createClientAbortSignal(res);
+    lease = await resolveToken(req, abortSignal, servedModel);
+    queueInfo = lease;
+    token = lease?.token || null;
     if (!token) {
       const message =
         options.tokenMissingError || '没有可用的 token，请先通过 OAuth 面板或 npm run login 获取。';
@@ -1601,148 +2389,175 @@ const createChatCompletionHandler = (resolveToken, options = {}) => async (req,
       return;
     }
 
-    const isImageModel = typeof model === 'string' && model.includes('-image');
-    const requestBody = generateRequestBody(messages, model, params, tools, token);
-
-    if (isImageModel) {
-      // 为图像模型配置思维链和响应模态，使 gemini-3-pro-image 能返回思维内容
-      requestBody.request.generationConfig = {
-        candidateCount: 1,
-        responseModalities: ["TEXT", "IMAGE"],
-        thinkingConfig: {
-          includeThoughts: true,
-          thinkingBudget: 1024
-        }
-      };
-      requestBody.requestType = 'image_gen';
-      requestBody.request.systemInstruction.parts[0].text +=
-        '（当前作为图像生成模型使用，请根据描述生成图片）';
-      delete requestBody.request.tools;
-      delete requestBody.request.toolConfig;
-    }
-
+    const toolCallOptions = {
+      singleToolCall: params.parallel_tool_calls === false,
+      signal: abortSignal,
+      lease,
+      onStreamStart: () => markUpstreamStreamStarted(res)
+    };
     const { id, created } = createResponseMeta();
 
     if (stream) {
       setStreamHeaders(res);
+      startStreamHeartbeat(res);
+    }
 
-      if (isImageModel) {
-        // 图像模型使用流式API，实现思维链实时传输
-        const imageUrls = [];
-        const { usage } = await generateAssistantResponse(requestBody, token, data => {
-          streamEventsForLog.push(data);
-
-          if (data.type === 'thinking') {
-            // 思维链内容实时发送
-            writeStreamData(res, createStreamChunk(id, created, model, { reasoning_content: data.content }));
-          } else if (data.type === 'image') {
-            // 收集图片URL，最后统一发送
-            imageUrls.push(data.url);
-          } else if (data.type === 'text') {
-            // 文本内容
-            writeStreamData(res, createStreamChunk(id, created, model, { content: data.content }));
-          }
-        });
+    // 流式响应已输出内容后不再回退，避免客户端收到两个模型拼接的结果
+    await runWithModelFallback(modelChain, async currentModel => {
+      token = lease?.token || token;
+      servedModel = currentModel;
+      setServedModelHeader(res, currentModel);
+      // 生图模型的生成配置由 generateRequestBody 按能力登记表设置，这里只决定输出方式
+      const isImageModel = getModelCapabilities(currentModel).imageOutput;
+      const requestBody = generateRequestBody(messages, currentModel, params, tools, token);
 
-        // 发送所有图片
-        if (imageUrls.length > 0) {
-          const markdown = imageUrls.map(url => `![image](${url})`).join('\n\n');
-          writeStreamData(res, createStreamChunk(id, created, model, { content: markdown }));
-        }
 
-        endStream(res, id, created, model, 'stop', usage);
-        responseBodyForLog = { stream: true, image: true, usage, events: streamEventsForLog };
-        responseSummaryForLog = summarizeStreamEvents(streamEventsForLog);
-      } else {
-        let hasToolCall = false;
-        const { usage } = await generateAssistantResponse(requestBody, token, data => {
-          streamEventsForLog.push(data);
-
-          let delta = {};
-          if (data.type === 'tool_calls') {
-            // 为兼容 OpenAI 流式规范，这里补充 index 字段
-            delta = {
-              tool_calls: (data.tool_calls || []).map((toolCall, index) => ({
-                index,
-                id: toolCall.id,
-                type: toolCall.type,
-                function: toolCall.function
-              }))
-            };
-          } else if (data.type === 'thinking') {
-            // 思维链内容直接放入 reasoning_content（不包含标签）
-            const cleanContent = data.content.replace(/^<思考>\n?|\n?<\/思考>$/g, '');
-            delta = { reasoning_content: cleanContent };
-          } else if (data.type === 'text') {
-            // 普通文本内容放入 content（需要过滤掉思考标签）
-            const cleanContent = data.content.replace(/<思考>[\s\S]*?<\/思考>/g, '');
-            if (cleanContent) {
-              delta = { content: cleanContent };
+      if (stream) {
+        if (isImageModel) {
+          // 图像模型使用流式API，实现思维链实时传输
+          const imageUrls = [];
+          const { usage, finishReason } = await generateAssistantResponse(requestBody, token, data => {
+            streamEventsForLog.push(data);
+
+            if (data.type === 'thinking') {
+              // 思维链内容实时发送
+              writeStreamData(res, createStreamChunk(id, created, currentModel, { reasoning_content: data.content }));
+            } else if (data.type === 'image') {
+              // 收集图片URL，最后统一发送
+              imageUrls.push(data.url);
+            } else if (data.type === 'text') {
+              // 文本内容
+              writeStreamData(res, createStreamChunk(id, created, currentModel, { content: data.content }));
             }
-          }
+          }, { signal: abortSignal, lease, onStreamStart: () => markUpstreamStreamStarted(res) });
 
-          // 只有当 delta 有内容时才发送
-          if (Object.keys(delta).length > 0) {
-            if (data.type === 'tool_calls') hasToolCall = true;
-            writeStreamData(res, createStreamChunk(id, created, model, delta));
+          // 发送所有图片
+          if (imageUrls.length > 0) {
+            const markdown = imageUrls.map(url => `![image](${url})`).join('\n\n');
+            writeStreamData(res, createStreamChunk(id, created, currentModel, { content: markdown }));
           }
-        });
-        endStream(res, id, created, model, hasToolCall ? 'tool_calls' : 'stop', usage);
-        responseBodyForLog = { stream: true, events: streamEventsForLog, usage };
-        responseSummaryForLog = summarizeStreamEvents(streamEventsForLog);
-      }
-    } else {
-      const { content, toolCalls, usage } = await generateAssistantResponseNoStream(
-        requestBody,
-        token
-      );
-      const message = { role: 'assistant', content };
-      if (toolCalls.length > 0) message.tool_calls = toolCalls;
 
-      const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
+          endStream(res, id, created, currentModel, mapFinishReasonToOpenAI(finishReason), usage);
+          responseBodyForLog = { stream: true, image: true, usage, events: streamEventsForLog };
+          responseSummaryForLog = summarizeStreamEvents(streamEventsForLog);
+        } else {
+          let hasToolCall = false;
+          const { usage, finishReason } = await generateAssistantResponse(requestBody, token, data => {
+            streamEventsForLog.push(data);
+
+            let delta = {};
+            if (data.type === 'tool_calls') {
+              // 按 OpenAI 流式规范：先发送带 id/name 的起始片段，再以 arguments 增量发送参数
+              hasToolCall = true;
+              (data.tool_calls || []).forEach(toolCall => {
+                const { index } = toolCall;
+                writeStreamData(res, createStreamChunk(id, created, currentModel, {
+                  tool_calls: [{
+                    index,
+                    id: toolCall.id,
+                    type: toolCall.type,
+                    function: { name: toolCall.function.name, arguments: '' }
+                  }]
+                }));
+                writeStreamData(res, createStreamChunk(id, created, currentModel, {
+                  tool_calls: [{ index, function: { arguments: toolCall.function.arguments } }]
+                }));
+              });
+            } else if (data.type === 'thinking') {
+              // 思维链内容直接放入 reasoning_content（不包含标签）
+              const cleanContent = data.content.replace(/^<思考>\n?|\n?<\/思考>$/g, '');
+              delta = { reasoning_content: cleanContent };
+            } else if (data.type === 'text') {
+              // 普通文本内容放入 content（需要过滤掉思考标签）
+              const cleanContent = data.content.replace(/<思考>[\s\S]*?<\/思考>/g, '');
+              if (cleanContent) {
+                delta = { content: cleanContent };
+              }
+            }
 
-      res.json({
-        id,
-        object: 'chat.completion',
-        created,
-        model,
-        choices: [
-          {
-            index: 0,
-            message,
-            finish_reason: finishReason
+            // 只有当 delta 有内容时才发送
+            if (Object.keys(delta).length > 0) {
+              writeStreamData(res, createStreamChunk(id, created, currentModel, delta));
+            }
+          }, toolCallOptions);
+          endStream(res, id, created, currentModel, mapFinishReasonToOpenAI(finishReason, hasToolCall), usage);
+          responseBodyForLog = { stream: true, events: streamEventsForLog, usage };
+          responseSummaryForLog = summarizeStreamEvents(streamEventsForLog);
+        }
+      } else {
+        const { content, toolCalls, usage, finishReason: upstreamFinishReason } =
+          await generateAssistantResponseNoStream(requestBody, token, toolCallOptions);
+        const message = { role: 'assistant', content };
+        if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+        // 结构化输出：拆出思维链后按 response_format 校验，不合法时直接报错而不是返回自由文本
+        if (isStructuredOutputRequested(params.response_format) && toolCalls.length === 0) {
+          const split = splitThinkingFromContent(content);
+          const validation = validateStructuredOutput(split.content, params.response_format);
+          if (!validation.ok) {
+            responseBodyForLog = { stream: false, content, usage };
+            const error = new Error(validation.error);
+            error.statusCode = 502;
+            throw error;
           }
-        ],
-        usage: usage || null
-      });
-      responseBodyForLog = { stream: false, choices: [{ message, finish_reason: finishReason }], usage };
-      responseSummaryForLog = { text: content, tool_calls: toolCalls, usage };
-    }
+          message.content = validation.content;
+          if (split.thinking) message.reasoning_content = split.thinking;
+        }
+
+        const finishReason = mapFinishReasonToOpenAI(upstreamFinishReason, toolCalls.length > 0);
+
+        res.json({
+          id,
+          object: 'chat.completion',
+          created,
+          model: currentModel,
+          choices: [
+            {
+              index: 0,
+              message,
+              finish_reason: finishReason
+            }
+          ],
+          usage: usage || null
+        });
+        responseBodyForLog = { stream: false, choices: [{ message, finish_reason: finishReason }], usage };
+        responseSummaryForLog = { text: content, tool_calls: toolCalls, usage };
+      }
+    }, { canFallback: () => streamEventsForLog.length === 0 });
 
     writeLog({ success: true, status: res.statusCode || 200 });
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.warn(`${sanitizeUrl(req.originalUrl)} ${getClientClosedLogFields(error).message}`);
+      responseBodyForLog = { stream, cancelled: true, events: streamEventsForLog };
+      responseSummaryForLog = summarizeStreamEvents(streamEventsForLog);
+      writeLog(getClientClosedLogFields(error));
+      return;
+    }
     logger.error('生成响应失败:', error.message);
+    queueInfo = queueInfo || error.queue || null;
     responseBodyForLog = responseBodyForLog || { error: error.message };
     const errorStatus = error.statusCode || (res.statusCode >= 400 ? res.statusCode : 500);
     writeLog({ success: false, status: errorStatus, message: error.message });
-    if (!res.headersSent) {
+    if (!res.writableEnded) {
       const { id, created } = createResponseMeta();
       const errorContent = `错误: ${error.message}`;
 
       if (stream) {
-        setStreamHeaders(res);
+        // 心跳会提前发出响应头，已开始的流同样需要写入错误并正常结束
+        if (!res.headersSent) setStreamHeaders(res);
         writeStreamData(
           res,
-          createStreamChunk(id, created, model || 'unknown', { content: errorContent })
+          createStreamChunk(id, created, servedModel || 'unknown', { content: errorContent })
         );
-        endStream(res, id, created, model || 'unknown', 'stop');
-      } else {
+        endStream(res, id, created, servedModel || 'unknown', 'stop');
+      } else if (!res.headersSent) {
         const status = error.statusCode || 500;
         res.status(status).json({
           id,
           object: 'chat.completion',
           created,
-          model: model || 'unknown',
+          model: servedModel || 'unknown',
           choices: [
             {
               index: 0,
@@ -1753,27 +2568,40 @@ const createChatCompletionHandler = (resolveToken, options = {}) => async (req,
         });
       }
     }
+  } finally {
+    lease?.release();
   }
 };
 
+// ?extended=true 时附加上下文窗口、思维链 / 视觉等能力以及各账号汇总的剩余额度
+const isExtendedModelRequest = req => ['1', 'true'].includes(String(req.query.extended || '').toLowerCase());
+
 app.get('/v1/models', async (req, res) => {
   try {
-    const models = await getAvailableModels();
+    const models = await modelCatalog.listModels({ extended: isExtendedModelRequest(req) });
     res.json(models);
   } catch (error) {
     logger.error('获取模型列表失败:', error.message);
-    const clientIP = req.headers['x-forwarded-for'] ||
-      req.headers['x-real-ip'] ||
-      req.connection?.remoteAddress ||
-      req.socket?.remoteAddress ||
-      req.ip ||
-      'unknown';
+    const clientIP = getClientIp(req);
     const userAgent = req.headers['user-agent'] || '';
     logger.error(`/v1/models 错误详情 [${clientIP}] ${userAgent}:`, error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+app.get('/v1/models/:id', async (req, res) => {
+  try {
+    const model = await modelCatalog.getModel(req.params.id, { extended: isExtendedModelRequest(req) });
+    if (!model) {
+      return res.status(404).json({ error: `模型 ${req.params.id} 不存在` });
+    }
+    return res.json(model);
+  } catch (error) {
+    logger.error('/v1/models/:id 获取模型失败:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/v1/lits', (req, res) => {
   const limitPerCredential = Number.isFinite(Number(tokenManager.hourlyLimit))
     ? Number(tokenManager.hourlyLimit)
@@ -1787,14 +2615,19 @@ app.get('/v1/lits', (req, res) => {
     .map(token => {
       const used = usageMap.get(token.projectId) || 0;
       const remaining = limitPerCredential === null ? null : Math.max(limitPerCredential - used, 0);
+      const lastUsedAt = tokenManager.getLastUsedAt(token);
       return {
         name: token.projectId,
         used_per_hour: used,
-        remaining_per_hour: remaining
+        remaining_per_hour: remaining,
+        weight: Number(token.weight) > 0 ? Number(token.weight) : 1,
+        last_selected_at: lastUsedAt ? new Date(lastUsedAt).toISOString() : null
       };
     });
 
   res.json({
+    strategy: tokenManager.strategy,
+    strategies: listSelectionStrategies(),
     credentials,
     windowMinutes: 60,
     limitPerCredential,
@@ -1802,25 +2635,38 @@ app.get('/v1/lits', (req, res) => {
   });
 });
 
-// Gemini 兼容接口：非流式 GenerateContent，直接接收 Gemini Request 并通过 AntigravityRequester 调用后端
-app.post('/v1beta/models/:model\\:generateContent', async (req, res) => {
+// ===== Gemini v1beta 兼容接口 =====
+
+// Gemini 原生 generateContent / streamGenerateContent：直接接收 Gemini Request 并通过 AntigravityRequester 调用后端
+async function handleGeminiGenerateContent(req, res, requestedModel, { stream = false } = {}) {
+  const routed = routeModelRequest(requestedModel);
+  const { model, params: routeParams, alias: modelAlias } = routed;
+  const modelChain = getModelChain(routed);
+  let servedModel = modelChain[0];
   const startedAt = Date.now();
   const requestSnapshot = createRequestSnapshot(req);
-  const model = req.params.model || req.body?.model || 'unknown';
+  const streamChunksForLog = [];
 
   let token = null;
+  let lease = null;
+  let queueInfo = null;
   let responseBodyForLog = null;
 
-  const writeLog = ({ success, status, message }) => {
+  const writeLog = ({ success, status, message, cancelled = false }) => {
     appendLog({
       timestamp: new Date().toISOString(),
-      model,
-      projectId: token?.projectId || null,
+      model: servedModel,
+      ...(modelAlias ? { requestedModel: modelAlias } : {}),
+      ...getFallbackLogFields(model, servedModel),
+      projectId: (lease?.token || token)?.projectId || null,
+      ...getClientLogFields(req, responseBodyForLog),
+      ...getQueueLogFields(queueInfo),
       success,
+      ...(cancelled ? { cancelled: true } : {}),
       status,
       message,
       durationMs: Date.now() - startedAt,
-      path: req.originalUrl,
+      path: requestSnapshot.path,
       method: req.method,
       detail: {
         request: requestSnapshot,
@@ -1835,7 +2681,7 @@ app.post('/v1beta/models/:model\\:generateContent', async (req, res) => {
     if (logger.detail) {
       logger.detail({
         method: req.method,
-        path: req.originalUrl,
+        path: requestSnapshot.path,
         status,
         durationMs: Date.now() - startedAt,
         request: requestSnapshot,
@@ -1849,47 +2695,158 @@ app.post('/v1beta/models/:model\\:generateContent', async (req, res) => {
     }
   };
 
+  // alt=sse 时按 SSE 输出，否则与官方一致返回 JSON 数组
+  const useSse = String(req.query?.alt || '').toLowerCase() === 'sse';
+  let wroteFirstChunk = false;
+  const writeGeminiChunk = chunk => {
+    if (useSse) {
+      writeStreamData(res, chunk);
+    } else {
+      res.write(`${wroteFirstChunk ? ',\n' : '['}${JSON.stringify(chunk)}`);
+    }
+    wroteFirstChunk = true;
+  };
+  const endGeminiStream = () => {
+    if (!useSse) res.write(wroteFirstChunk ? ']' : '[]');
+    res.end();
+  };
+
   try {
     const body = req.body || {};
     if (!Array.isArray(body.contents) || body.contents.length === 0) {
       const status = 400;
       const message = 'contents is required for Gemini generateContent';
-      res.status(status).json({ error: message });
+      sendGeminiError(res, status, message);
       writeLog({ success: false, status, message });
       return;
     }
 
-    token = await tokenManager.getToken();
+    const abortSignal = createClientAbortSignal(res);
+    lease = await acquireRequestLease(req, { model: servedModel }, { signal: abortSignal });
+    queueInfo = lease;
+    token = lease?.token || null;
     if (!token) {
       const status = 503;
       const message = '没有可用的 token，请先通过 OAuth 面板或 npm run login 获取。';
-      res.status(status).json({ error: message });
+      sendGeminiError(res, status, message);
       writeLog({ success: false, status, message });
       return;
     }
 
-    // 将 Gemini 原生请求包装成 Antigravity 请求体
-    const requestBody = generateRequestBodyFromGemini(body, model, token);
+    // 将 Gemini 原生请求包装成 Antigravity 请求体；配额耗尽时按回退链换模型重新生成
+    const geminiBody = applyGeminiRouteParams(body, routeParams);
+    // withRetry 可能已把租约换到其他账号，每次构造请求体时以租约上的账号为准（调用处随后传入的 token 同样是新账号）
+    const buildRequestBody = currentModel => {
+      token = lease?.token || token;
+      servedModel = currentModel;
+      setServedModelHeader(res, currentModel);
+      return generateRequestBodyFromGemini(geminiBody, currentModel, token);
+    };
 
-    // 当前只支持非流式：即官方 Gemini 的 :generateContent 语义
-    const geminiResponse = await generateGeminiResponseNoStream(requestBody, token);
-    responseBodyForLog = geminiResponse;
+    if (stream) {
+      if (useSse) {
+        setStreamHeaders(res);
+        startStreamHeartbeat(res);
+      } else {
+        res.setHeader('Content-Type', 'application/json');
+        // JSON 数组模式下以空白字符作为心跳，不影响整体解析
+        startStreamHeartbeat(res, () => res.write('\n'));
+      }
+
+      const { usage } = await runWithModelFallback(
+        modelChain,
+        currentModel => generateGeminiResponseStream(buildRequestBody(currentModel), token, chunk => {
+          streamChunksForLog.push(chunk);
+          writeGeminiChunk(chunk);
+        }, { signal: abortSignal, lease, onStreamStart: () => markUpstreamStreamStarted(res) }),
+        { canFallback: () => !wroteFirstChunk }
+      );
+      endGeminiStream();
+      responseBodyForLog = { stream: true, usage, chunks: streamChunksForLog };
+    } else {
+      const geminiResponse = await runWithModelFallback(modelChain, currentModel =>
+        generateGeminiResponseNoStream(buildRequestBody(currentModel), token, { lease })
+      );
+      responseBodyForLog = geminiResponse;
+      res.json(geminiResponse);
+    }
 
-    res.json(geminiResponse);
     writeLog({ success: true, status: res.statusCode || 200 });
   } catch (error) {
-    const status = 500;
+    if (isAbortError(error)) {
+      responseBodyForLog = { stream: true, cancelled: true, chunks: streamChunksForLog };
+      writeLog(getClientClosedLogFields(error));
+      return;
+    }
+    const status = error?.statusCode || 500;
     const message = error?.message || 'Gemini generateContent 调用失败';
-    res.status(status).json({ error: message });
+    queueInfo = queueInfo || error?.queue || null;
+    responseBodyForLog = responseBodyForLog || { error: message, chunks: streamChunksForLog };
+    if (!res.headersSent) {
+      sendGeminiError(res, status, message);
+    } else if (!res.writableEnded) {
+      writeGeminiChunk(buildGeminiError(status, message));
+      endGeminiStream();
+    }
     writeLog({ success: false, status, message });
+  } finally {
+    lease?.release();
+  }
+}
+
+app.get('/v1beta/models', async (req, res) => {
+  try {
+    const models = await modelCatalog.listModels();
+    res.json(buildGeminiModelList(models));
+  } catch (error) {
+    logger.error('/v1beta/models 获取模型列表失败:', error.message);
+    sendGeminiError(res, 500, error.message);
+  }
+});
+
+app.get('/v1beta/models/:model', async (req, res) => {
+  const { model } = parseGeminiModelAction(req.params.model);
+  try {
+    if (!(await modelCatalog.getModel(model))) {
+      return sendGeminiError(res, 404, `models/${model} is not found`);
+    }
+    return res.json(toGeminiModel(model));
+  } catch (error) {
+    logger.error('/v1beta/models/:model 获取模型失败:', error.message);
+    return sendGeminiError(res, 500, error.message);
+  }
+});
+
+app.post('/v1beta/models/:modelAction', (req, res) => {
+  const { model, action } = parseGeminiModelAction(req.params.modelAction);
+
+  if (action === 'generateContent') {
+    return handleGeminiGenerateContent(req, res, model, { stream: false });
   }
+
+  if (action === 'streamGenerateContent') {
+    return handleGeminiGenerateContent(req, res, model, { stream: true });
+  }
+
+  if (action === 'countTokens') {
+    try {
+      return res.json(countGeminiTokens(req.body || {}));
+    } catch (error) {
+      return sendGeminiError(res, 400, error?.message || 'countTokens 计算失败');
+    }
+  }
+
+  return sendGeminiError(res, 404, `不支持的 Gemini 方法: ${action || '(empty)'}`);
 });
 
-app.post('/v1/chat/completions', createChatCompletionHandler(() => tokenManager.getToken()));
+app.post(
+  '/v1/chat/completions',
+  createChatCompletionHandler((req, signal, model) => acquireRequestLease(req, { model }, { signal }))
+);
 app.post(
   '/:credential/v1/chat/completions',
   createChatCompletionHandler(
-    req => tokenManager.getTokenByProjectId(req.params.credential),
+    async req => requestQueue.wrap(await tokenManager.getTokenByProjectId(req.params.credential)),
     { tokenMissingError: '指定的凭证不存在或已停用，请检查凭证名。', tokenMissingStatus: 404 }
   )
 );
@@ -1904,11 +2861,13 @@ app.post('/v1/messages/count_tokens', (req, res) => {
       timestamp: new Date().toISOString(),
       model: req.body?.model || 'unknown',
       projectId: null,
+      ...getClientLogFields(req, responseBodyForLog),
+      budgetExempt: true,
       success,
       status,
       message,
       durationMs: Date.now() - startedAt,
-      path: req.originalUrl,
+      path: sanitizeUrl(req.originalUrl),
       method: req.method,
       detail: {
         request: requestSnapshot,
@@ -1923,7 +2882,7 @@ app.post('/v1/messages/count_tokens', (req, res) => {
     if (logger.detail) {
       logger.detail({
         method: req.method,
-        path: req.originalUrl,
+        path: sanitizeUrl(req.originalUrl),
         status,
         durationMs: Date.now() - startedAt,
         request: requestSnapshot,
@@ -1955,19 +2914,30 @@ app.post('/v1/messages', async (req, res) => {
   const requestSnapshot = createRequestSnapshot(req);
   let responseBodyForLog = null;
   let token = null;
+  let lease = null;
+  let queueInfo = null;
   let openaiReq = null;
+  let modelAlias = null;
+  let routedModel = null;
   let requestBody = null;
+  let emitter = null;
+  const streamEventsForLog = [];
 
-  const writeLog = ({ success, status, message }) => {
+  const writeLog = ({ success, status, message, cancelled = false }) => {
     appendLog({
       timestamp: new Date().toISOString(),
       model: openaiReq?.model || req.body?.model || 'unknown',
-      projectId: token?.projectId || null,
+      ...(modelAlias ? { requestedModel: modelAlias } : {}),
+      ...getFallbackLogFields(routedModel, openaiReq?.model),
+      projectId: (lease?.token || token)?.projectId || null,
+      ...getClientLogFields(req, responseBodyForLog),
+      ...getQueueLogFields(queueInfo),
       success,
+      ...(cancelled ? { cancelled: true } : {}),
       status,
       message,
       durationMs: Date.now() - startedAt,
-      path: req.originalUrl,
+      path: sanitizeUrl(req.originalUrl),
       method: req.method,
       detail: {
         request: requestSnapshot,
@@ -1982,7 +2952,7 @@ app.post('/v1/messages', async (req, res) => {
     if (logger.detail) {
       logger.detail({
         method: req.method,
-        path: req.originalUrl,
+        path: sanitizeUrl(req.originalUrl),
         status,
         durationMs: Date.now() - startedAt,
         request: requestSnapshot,
@@ -1997,7 +2967,12 @@ app.post('/v1/messages', async (req, res) => {
   };
 
   try {
-    openaiReq = mapClaudeToOpenAI(req.body || {});
+    const routed = routeModelRequest(req.body?.model, mapClaudeToOpenAI(req.body || {}));
+    // openaiReq.model 随回退链更新为实际提供服务的模型
+    const modelChain = getModelChain(routed);
+    openaiReq = { ...routed.params, model: modelChain[0] };
+    modelAlias = routed.alias;
+    routedModel = routed.model;
     const tokenStats = (() => {
       try {
         return countClaudeTokens(req.body || {});
@@ -2006,7 +2981,10 @@ app.post('/v1/messages', async (req, res) => {
       }
     })();
 
-    token = await tokenManager.getToken();
+    const abortSignal = createClientAbortSignal(res);
+    lease = await acquireRequestLease(req, { model: openaiReq.model }, { signal: abortSignal });
+    queueInfo = lease;
+    token = lease?.token || null;
     if (!token) {
       const message = '娌℃湁鍙敤鐨?token锛岃鍏堥€氳繃 OAuth 闈㈡澘鎴?npm run login 鑾峰彇銆?';
       res.status(503).json({ error: message });
@@ -2015,44 +2993,72 @@ app.post('/v1/messages', async (req, res) => {
     }
 
     const openaiTools = mapClaudeToolsToOpenAITools(req.body?.tools || []);
-    requestBody = generateRequestBody(
-      openaiReq.messages,
-      openaiReq.model,
-      openaiReq,
-      openaiTools,
-      token
-    );
+    // withRetry 可能已把租约换到其他账号，每次构造请求体时以租约上的账号为准（调用处随后传入的 token 同样是新账号）
+    const buildRequestBody = currentModel => {
+      token = lease?.token || token;
+      openaiReq.model = currentModel;
+      setServedModelHeader(res, currentModel);
+      if (emitter) emitter.model = currentModel;
+      requestBody = generateRequestBody(openaiReq.messages, currentModel, openaiReq, openaiTools, token);
+      return requestBody;
+    };
+    buildRequestBody(openaiReq.model);
 
     const requestId = requestBody.requestId;
 
     if (openaiReq.stream) {
       setStreamHeaders(res);
-      const emitter = new ClaudeSseEmitter(res, requestId, {
+      // message_start 在首个事件前才发出，回退后仍会带上实际提供服务的模型
+      emitter = new ClaudeSseEmitter(res, requestId, {
         model: openaiReq.model,
-        inputTokens: tokenStats?.input_tokens || 0
-      });
-      emitter.start();
-
-      const { usage } = await generateAssistantResponse(requestBody, token, async data => {
-        if (data.type === 'thinking') {
-          emitter.sendThinking(data.content);
-        } else if (data.type === 'text') {
-          emitter.sendText(data.content);
-        } else if (data.type === 'tool_calls') {
-          await emitter.sendToolCalls(data.tool_calls);
-        }
+        inputTokens: tokenStats?.input_tokens || 0,
+        stopSequences: openaiReq.stop_sequences
       });
+      startStreamHeartbeat(res, () => emitter.ping());
+
+      const { usage, finishReason } = await runWithModelFallback(modelChain, currentModel =>
+        generateAssistantResponse(
+          currentModel === openaiReq.model ? requestBody : buildRequestBody(currentModel),
+          token,
+          data => {
+            streamEventsForLog.push(data);
+            if (data.type === 'thinking') {
+              emitter.sendThinking(data.content);
+            } else if (data.type === 'text') {
+              emitter.sendText(data.content);
+            } else if (data.type === 'tool_calls') {
+              emitter.sendToolCalls(data.tool_calls);
+            }
+          },
+          {
+            singleToolCall: openaiReq.parallel_tool_calls === false,
+            signal: abortSignal,
+            lease,
+            onStreamStart: () => markUpstreamStreamStarted(res)
+          }
+        ),
+        { canFallback: () => streamEventsForLog.length === 0 }
+      );
 
       responseBodyForLog = { stream: true, usage };
-      emitter.finish(usage);
+      emitter.finish(usage, finishReason);
       writeLog({ success: true, status: res.statusCode || 200 });
     } else {
-      const result = await generateAssistantResponseNoStream(requestBody, token);
-      const contentBlocks = buildClaudeContentBlocks(result.content, result.toolCalls);
+      const result = await runWithModelFallback(modelChain, currentModel =>
+        generateAssistantResponseNoStream(
+          currentModel === openaiReq.model ? requestBody : buildRequestBody(currentModel),
+          token,
+          { singleToolCall: openaiReq.parallel_tool_calls === false, lease }
+        )
+      );
+      const { text, stopSequence } = applyStopSequences(result.content, openaiReq.stop_sequences);
+      // 命中停止序列后模型不应再产生工具调用
+      const toolCalls = stopSequence ? [] : result.toolCalls;
+      const contentBlocks = buildClaudeContentBlocks(text, toolCalls);
       const outputTokens =
         result.usage?.completion_tokens ??
         result.usage?.output_tokens ??
-        (result.content ? estimateTokensFromText(result.content) : 0);
+        (text ? estimateTokensFromText(text) : 0);
 
       const payload = {
         id: `msg_${requestId}`,
@@ -2060,8 +3066,10 @@ app.post('/v1/messages', async (req, res) => {
         role: 'assistant',
         model: openaiReq.model,
         content: contentBlocks,
-        stop_reason: result.toolCalls?.length ? 'tool_use' : 'end_turn',
-        stop_sequence: null,
+        stop_reason: stopSequence
+          ? 'stop_sequence'
+          : mapFinishReasonToClaude(result.finishReason, toolCalls.length > 0),
+        stop_sequence: stopSequence,
         usage: {
           input_tokens: tokenStats?.input_tokens || 0,
           output_tokens: outputTokens || 0
@@ -2073,13 +3081,211 @@ app.post('/v1/messages', async (req, res) => {
       writeLog({ success: true, status: res.statusCode || 200 });
     }
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.warn(`/v1/messages ${getClientClosedLogFields(error).message}`);
+      responseBodyForLog = {
+        stream: true,
+        cancelled: true,
+        events: streamEventsForLog,
+        modelOutput: summarizeStreamEvents(streamEventsForLog)
+      };
+      writeLog(getClientClosedLogFields(error));
+      return;
+    }
     logger.error('/v1/messages 璇锋眰澶辫触:', error?.message || error);
     const status = error?.statusCode || 500;
+    queueInfo = queueInfo || error?.queue || null;
     if (!res.headersSent) {
       res.status(status).json({ error: error?.message || '鏈嶅姟鍣ㄥけ璐?' });
+    } else if (!res.writableEnded) {
+      emitter?.fail(error?.message || 'Internal server error');
+      res.end();
     }
     writeLog({ success: false, status, message: error?.message });
+  } finally {
+    lease?.release();
+  }
+});
+
+// OpenAI Responses API：input / instructions / previous_response_id 转换为现有请求体，输出 Responses 规范的事件流
+app.post('/v1/responses', async (req, res) => {
+  const startedAt = Date.now();
+  const requestSnapshot = createRequestSnapshot(req);
+  const body = req.body || {};
+  let responseBodyForLog = null;
+  let token = null;
+  let lease = null;
+  let queueInfo = null;
+  let emitter = null;
+  let routedModel = null;
+  let modelAlias = null;
+
+  const writeLog = ({ success, status, message, cancelled = false }) => {
+    appendLog({
+      timestamp: new Date().toISOString(),
+      model: emitter?.model || routedModel || body.model || 'unknown',
+      ...(modelAlias ? { requestedModel: modelAlias } : {}),
+      ...getFallbackLogFields(routedModel, emitter?.model),
+      projectId: (lease?.token || token)?.projectId || null,
+      ...getClientLogFields(req, responseBodyForLog),
+      ...getQueueLogFields(queueInfo),
+      success,
+      ...(cancelled ? { cancelled: true } : {}),
+      status,
+      message,
+      durationMs: Date.now() - startedAt,
+      path: sanitizeUrl(req.originalUrl),
+      method: req.method,
+      detail: {
+        request: requestSnapshot,
+        response: {
+          status,
+          headers: res.getHeaders ? res.getHeaders() : undefined,
+          body: responseBodyForLog
+        }
+      }
+    });
+    // 同时输出到控制台详细日志
+    if (logger.detail) {
+      logger.detail({
+        method: req.method,
+        path: sanitizeUrl(req.originalUrl),
+        status,
+        durationMs: Date.now() - startedAt,
+        request: requestSnapshot,
+        response: {
+          status,
+          headers: res.getHeaders ? res.getHeaders() : undefined,
+          body: responseBodyForLog
+        },
+        error: success ? undefined : message
+      });
+    }
+  };
+
+  try {
+    let previous = null;
+    if (body.previous_response_id) {
+      previous = getStoredResponse(body.previous_response_id, req.apiKeyName);
+      if (!previous) {
+        const message = `Previous response with id '${body.previous_response_id}' not found.`;
+        res.status(404).json({ error: message });
+        writeLog({ success: false, status: 404, message });
+        return;
+      }
+    }
+
+    let openaiReq;
+    try {
+      openaiReq = mapResponsesToOpenAI(body, previous);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      writeLog({ success: false, status: 400, message: error.message });
+      return;
+    }
+    const routed = routeModelRequest(openaiReq.model, openaiReq);
+    const modelChain = getModelChain(routed);
+    openaiReq = { ...routed.params, model: modelChain[0] };
+    routedModel = routed.model;
+    modelAlias = routed.alias;
+
+    const abortSignal = createClientAbortSignal(res);
+    lease = await acquireRequestLease(req, { model: openaiReq.model }, { signal: abortSignal });
+    queueInfo = lease;
+    token = lease?.token || null;
+    if (!token) {
+      const message = '没有可用的 token，请先通过 OAuth 面板或 npm run login 获取。';
+      res.status(503).json({ error: message });
+      writeLog({ success: false, status: 503, message });
+      return;
+    }
+
+    const openaiTools = mapResponsesToolsToOpenAITools(body.tools);
+
+    if (openaiReq.stream) setStreamHeaders(res);
+    // response.created 在首个事件前才发出，回退后仍会带上实际提供服务的模型
+    emitter = new ResponsesEmitter(openaiReq.stream ? res : null, {
+      responseId: generateResponseId(),
+      model: openaiReq.model,
+      request: body
+    });
+    if (openaiReq.stream) startStreamHeartbeat(res);
+
+    // 非流式同样走上游流式接口，以便把 reasoning 与正文拆成独立的 output item
+    const { usage, finishReason } = await runWithModelFallback(modelChain, currentModel => {
+      token = lease?.token || token;
+      emitter.model = currentModel;
+      setServedModelHeader(res, currentModel);
+      const requestBody = generateRequestBody(openaiReq.messages, currentModel, openaiReq, openaiTools, token);
+      return generateAssistantResponse(requestBody, token, data => {
+        if (data.type === 'thinking') {
+          emitter.sendThinking(data.content);
+        } else if (data.type === 'text') {
+          emitter.sendText(data.content);
+        } else if (data.type === 'tool_calls') {
+          emitter.sendToolCalls(data.tool_calls);
+        }
+      }, {
+        singleToolCall: openaiReq.parallel_tool_calls === false,
+        signal: abortSignal,
+        lease,
+        onStreamStart: () => markUpstreamStreamStarted(res)
+      });
+    }, { canFallback: () => emitter.output.length === 0 });
+
+    const response = emitter.finish(usage, finishReason);
+    if (body.store !== false) {
+      storeResponse(
+        response,
+        [...openaiReq.conversation, ...responseOutputToMessages(response.output)],
+        req.apiKeyName
+      );
+    }
+
+    responseBodyForLog = response;
+    if (openaiReq.stream) {
+      res.end();
+    } else {
+      res.json(response);
+    }
+    writeLog({ success: true, status: res.statusCode || 200 });
+  } catch (error) {
+    if (isAbortError(error)) {
+      logger.warn(`/v1/responses ${getClientClosedLogFields(error).message}`);
+      responseBodyForLog = { cancelled: true, output: emitter?.output || [] };
+      writeLog(getClientClosedLogFields(error));
+      return;
+    }
+    logger.error('/v1/responses 请求失败:', error?.message || error);
+    const status = error?.statusCode || 500;
+    const message = error?.message || '服务器错误';
+    queueInfo = queueInfo || error?.queue || null;
+    if (!res.headersSent) {
+      res.status(status).json({ error: message });
+    } else if (!res.writableEnded) {
+      responseBodyForLog = emitter?.fail(message) || null;
+      res.end();
+    }
+    writeLog({ success: false, status, message });
+  } finally {
+    lease?.release();
+  }
+});
+
+app.get('/v1/responses/:id', (req, res) => {
+  const stored = getStoredResponse(req.params.id, req.apiKeyName);
+  if (!stored) {
+    return res.status(404).json({ error: `Response with id '${req.params.id}' not found.` });
+  }
+  return res.json(stored.response);
+});
+
+app.delete('/v1/responses/:id', (req, res) => {
+  const deleted = deleteStoredResponse(req.params.id, req.apiKeyName);
+  if (!deleted) {
+    return res.status(404).json({ error: `Response with id '${req.params.id}' not found.` });
   }
+  return res.json({ id: req.params.id, object: 'response', deleted: true });
 });
 
 // ===== Server bootstrap =====
@@ -2104,6 +3310,8 @@ server.on('error', error => {
 const shutdown = () => {
   logger.info('正在关闭服务...');
   closeRequester();
+  flushUsageRollups();
+  flushUsageCounters();
   server.close(() => {
     logger.info('服务已关闭');
     process.exit(0);
@@ -4,47 +4,145 @@ const THINKING_HINT = '<antml\b:thinking_mode>interleaved</antml><antml\b:max_th
 const THINKING_START_TAG = '<thinking>';
 const THINKING_END_TAG = '</thinking>';
 
-function normalizeBlocks(content, triggerSignal) {
+const XML_TOOL_PATTERN = /<invoke\b[^>]*>[\s\S]*?<\/invoke>/gi;
+const XML_TOOL_RESULT_PATTERN = /<tool_result\b[^>]*>[\s\S]*?<\/tool_result>/gi;
+
+function stripXmlToolMarkup(text) {
+  return (text || '').replace(XML_TOOL_PATTERN, '').replace(XML_TOOL_RESULT_PATTERN, '');
+}
+
+// 将 text / thinking 块拼接为纯文本；tool_use / tool_result 由调用方单独映射
+function normalizeBlocks(content) {
   if (typeof content === 'string') {
-    return content
-      .replace(/<invoke\b[^>]*>[\s\S]*?<\/invoke>/gi, '')
-      .replace(/<tool_result\b[^>]*>[\s\S]*?<\/tool_result>/gi, '');
+    return stripXmlToolMarkup(content);
   }
+  if (!Array.isArray(content)) return '';
 
   return content
     .map(block => {
       if (!block || typeof block !== 'object') return '';
       if (block.type === 'text') {
-        return (block.text || '')
-          .replace(/<invoke\b[^>]*>[\s\S]*?<\/invoke>/gi, '')
-          .replace(/<tool_result\b[^>]*>[\s\S]*?<\/tool_result>/gi, '');
+        return stripXmlToolMarkup(block.text);
       }
       if (block.type === 'thinking') {
         return `${THINKING_START_TAG}${block.thinking || ''}${THINKING_END_TAG}`;
       }
-      if (block.type === 'tool_result') {
-        return `<tool_result id="${block.tool_use_id}">${block.content ?? ''}</tool_result>`;
+      if (block.type === 'document' && block.source?.type === 'text') {
+        return block.source.data || '';
       }
-      if (block.type === 'tool_use') {
-        const params = Object.entries(block.input ?? {})
-          .map(([key, value]) => {
-            const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
-            return `<parameter name="${key}">${stringValue}</parameter>`;
-          })
-          .join('\n');
-        const trigger = triggerSignal ? `${triggerSignal}\n` : '';
-        return `${trigger}<invoke name="${block.name}">\n${params}\n</invoke>`;
+      if (block.type === 'document' && block.source?.type === 'content') {
+        return normalizeBlocks(block.source.content);
       }
       return '';
     })
+    .filter(Boolean)
     .join('\n');
 }
 
-function mapClaudeRole(role) {
-  return role === 'assistant' ? 'assistant' : 'user';
+const DEFAULT_MEDIA_TYPES = { image: 'image/png', document: 'application/pdf' };
+
+// image / document 块（base64 来源）转换为 OpenAI 多模态 part，之后由 extractImagesFromContent
+// 统一生成 inlineData；url 来源上游无法拉取，原样交给 extractImagesFromContent 记录警告并丢弃
+function convertClaudeMediaBlock(block) {
+  if (!block || (block.type !== 'image' && block.type !== 'document')) return null;
+  const source = block.source;
+  if (!source || typeof source !== 'object') return null;
+
+  let url = null;
+  if (source.type === 'base64' && source.data) {
+    const mediaType = source.media_type || DEFAULT_MEDIA_TYPES[block.type];
+    url = `data:${mediaType};base64,${source.data}`;
+  } else if (source.type === 'url' && source.url) {
+    url = source.url;
+  }
+  if (!url) return null;
+
+  if (block.type === 'image') {
+    return { type: 'image_url', image_url: { url } };
+  }
+  return { type: 'file', file: { file_data: url, filename: block.title || undefined } };
 }
 
-export function mapClaudeToOpenAI(body, triggerSignal) {
+function collectMediaParts(blocks) {
+  return (Array.isArray(blocks) ? blocks : []).map(convertClaudeMediaBlock).filter(Boolean);
+}
+
+// tool_result 的 content 既可能是字符串，也可能是 text 块数组
+function normalizeToolResultContent(block) {
+  const { content } = block;
+  let output;
+  if (typeof content === 'string') {
+    output = content;
+  } else if (Array.isArray(content)) {
+    output = content
+      .map(item => {
+        if (typeof item === 'string') return item;
+        if (item?.type === 'text') return item.text || '';
+        return '';
+      })
+      .join('\n');
+  } else if (content && typeof content === 'object') {
+    output = JSON.stringify(content);
+  } else {
+    output = '';
+  }
+  return block.is_error ? `[tool error] ${output}` : output;
+}
+
+function convertToolUseToToolCall(block) {
+  return {
+    id: block.id || `toolu_${generateRequestId()}`,
+    type: 'function',
+    function: {
+      name: block.name || 'tool',
+      arguments: JSON.stringify(block.input ?? {})
+    }
+  };
+}
+
+// assistant 消息：tool_use 块映射为 OpenAI tool_calls，保留原始 id 以便复用思维签名
+function mapClaudeAssistantMessage(message) {
+  const blocks = Array.isArray(message.content) ? message.content : [];
+  const toolCalls = blocks.filter(block => block?.type === 'tool_use').map(convertToolUseToToolCall);
+  const mapped = { role: 'assistant', content: normalizeBlocks(message.content) };
+  if (toolCalls.length > 0) mapped.tool_calls = toolCalls;
+  return [mapped];
+}
+
+// user 消息：tool_result 块拆分为 role=tool 消息，并放在同轮的普通文本之前
+function mapClaudeUserMessage(message, thinkingEnabled) {
+  const blocks = Array.isArray(message.content) ? message.content : [];
+  const mapped = blocks
+    .filter(block => block?.type === 'tool_result')
+    .map(block => ({
+      role: 'tool',
+      tool_call_id: block.tool_use_id,
+      content: normalizeToolResultContent(block)
+    }));
+
+  // tool_result 中携带的截图等媒体无法放进 functionResponse，随同轮 user 消息一并发送
+  const mediaParts = [
+    ...blocks
+      .filter(block => block?.type === 'tool_result' && Array.isArray(block.content))
+      .flatMap(block => collectMediaParts(block.content)),
+    ...collectMediaParts(blocks)
+  ];
+
+  const hasOtherBlocks =
+    typeof message.content === 'string' || blocks.some(block => block && block.type !== 'tool_result');
+  if (hasOtherBlocks || mediaParts.length > 0 || mapped.length === 0) {
+    let text = normalizeBlocks(message.content);
+    if (thinkingEnabled) {
+      text = `${text}${THINKING_HINT}`;
+    }
+    const content = mediaParts.length > 0 ? [{ type: 'text', text }, ...mediaParts] : text;
+    mapped.push({ role: 'user', content });
+  }
+
+  return mapped;
+}
+
+export function mapClaudeToOpenAI(body) {
   if (!body || typeof body !== 'object') {
     throw new Error('请求体格式不合法');
   }
@@ -72,16 +170,13 @@ export function mapClaudeToOpenAI(body, triggerSignal) {
     messages.push({ role: 'system', content: systemContent });
   }
 
+  const thinkingEnabled = !!(body.thinking && body.thinking.type === 'enabled');
   for (const message of body.messages) {
-    const normalized = normalizeBlocks(message.content, triggerSignal);
-    let content = normalized;
-    if (message.role === 'user' && body.thinking && body.thinking.type === 'enabled') {
-      content = `${content}${THINKING_HINT}`;
+    if (message?.role === 'assistant') {
+      messages.push(...mapClaudeAssistantMessage(message));
+    } else {
+      messages.push(...mapClaudeUserMessage(message, thinkingEnabled));
     }
-    messages.push({
-      role: mapClaudeRole(message.role),
-      content
-    });
   }
 
   return {
@@ -90,6 +185,11 @@ export function mapClaudeToOpenAI(body, triggerSignal) {
     temperature: body.temperature ?? 0.2,
     top_p: body.top_p ?? 1,
     max_tokens: body.max_tokens,
+    // thinking.budget_tokens 映射为上游 thinkingBudget；显式 disabled 时关闭思维链
+    thinking_budget: thinkingEnabled ? body.thinking.budget_tokens : body.thinking?.type === 'disabled' ? 0 : undefined,
+    stop_sequences: normalizeStopSequences(body.stop_sequences),
+    tool_choice: body.tool_choice,
+    parallel_tool_calls: body.tool_choice?.disable_parallel_tool_use === true ? false : undefined,
     messages
   };
 }
@@ -202,13 +302,55 @@ function buildMessageStartPayload(requestId, model, inputTokens = 0) {
   };
 }
 
+// stop_sequences 会随 generationConfig.stopSequences 发给上游，但上游 finishReason 不区分"命中停止序列"
+// （且超出上游数量上限的序列不会下发），因此仍由代理在本地截断并上报 stop_sequence
+const CLAUDE_STOP_REASONS = {
+  MAX_TOKENS: 'max_tokens',
+  SAFETY: 'refusal',
+  RECITATION: 'refusal',
+  BLOCKLIST: 'refusal',
+  PROHIBITED_CONTENT: 'refusal',
+  SPII: 'refusal',
+  IMAGE_SAFETY: 'refusal'
+};
+
+export function mapFinishReasonToClaude(finishReason, hasToolUse = false) {
+  if (hasToolUse) return 'tool_use';
+  return CLAUDE_STOP_REASONS[String(finishReason || '').toUpperCase()] || 'end_turn';
+}
+
+function normalizeStopSequences(stopSequences) {
+  if (!Array.isArray(stopSequences)) return [];
+  return stopSequences.filter(seq => typeof seq === 'string' && seq.length > 0);
+}
+
+function findStopSequence(text, stopSequences) {
+  let hit = null;
+  for (const sequence of stopSequences) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && (!hit || index < hit.index)) {
+      hit = { index, sequence };
+    }
+  }
+  return hit;
+}
+
+// 非流式：在首个命中的停止序列处截断正文
+export function applyStopSequences(text, stopSequences = []) {
+  const sequences = normalizeStopSequences(stopSequences);
+  if (!text || sequences.length === 0) return { text, stopSequence: null };
+  const hit = findStopSequence(text, sequences);
+  if (!hit) return { text, stopSequence: null };
+  return { text: text.slice(0, hit.index), stopSequence: hit.sequence };
+}
+
 function writeSSE(res, event, data) {
   res.write(`event: ${event}\n`);
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
 export class ClaudeSseEmitter {
-  constructor(res, requestId, { model, inputTokens } = {}) {
+  constructor(res, requestId, { model, inputTokens, stopSequences } = {}) {
     this.res = res;
     this.requestId = requestId || generateRequestId();
     this.model = model || 'claude-proxy';
@@ -216,16 +358,44 @@ export class ClaudeSseEmitter {
     this.nextIndex = 0;
     this.textBlockIndex = null;
     this.thinkingBlockIndex = null;
+    this.started = false;
     this.finished = false;
     this.totalOutputTokens = 0;
+    this.hasToolUse = false;
+    this.stopSequences = normalizeStopSequences(stopSequences);
+    this.maxStopSequenceLength = Math.max(0, ...this.stopSequences.map(seq => seq.length));
+    // 为跨 chunk 的停止序列保留的尾部文本
+    this.pendingText = '';
+    this.stopSequence = null;
   }
 
+  // 可重复调用；未显式调用时在首个事件前自动发送，调用方在此之前仍可修改 model（如回退到后备模型）
   start() {
+    if (this.started) return;
+    this.started = true;
     writeSSE(this.res, 'message_start', buildMessageStartPayload(this.requestId, this.model, this.inputTokens));
   }
 
+  // 心跳：message_start 之前只发 SSE 注释，避免提前以原始模型开始消息；之后按 Anthropic 规范发送 ping 事件
+  ping() {
+    if (this.finished) return;
+    if (!this.started) {
+      this.res.write(': ping\n\n');
+      return;
+    }
+    writeSSE(this.res, 'ping', { type: 'ping' });
+  }
+
+  // 流已开始后出错：按 Anthropic 规范发送 error 事件
+  fail(message) {
+    if (this.finished) return;
+    this.finished = true;
+    writeSSE(this.res, 'error', { type: 'error', error: { type: 'api_error', message } });
+  }
+
   ensureTextBlock() {
     if (this.textBlockIndex !== null) return;
+    this.start();
     this.textBlockIndex = this.nextIndex++;
     writeSSE(this.res, 'content_block_start', {
       type: 'content_block_start',
@@ -236,6 +406,7 @@ export class ClaudeSseEmitter {
 
   ensureThinkingBlock() {
     if (this.thinkingBlockIndex !== null) return;
+    this.start();
     this.thinkingBlockIndex = this.nextIndex++;
     writeSSE(this.res, 'content_block_start', {
       type: 'content_block_start',
@@ -245,6 +416,37 @@ export class ClaudeSseEmitter {
   }
 
   sendText(text) {
+    if (!text || this.stopSequence) return;
+    if (this.stopSequences.length === 0) {
+      this.writeText(text);
+      return;
+    }
+
+    this.pendingText += text;
+    const hit = findStopSequence(this.pendingText, this.stopSequences);
+    if (hit) {
+      this.stopSequence = hit.sequence;
+      const before = this.pendingText.slice(0, hit.index);
+      this.pendingText = '';
+      this.writeText(before);
+      return;
+    }
+
+    const emitLength = this.pendingText.length - (this.maxStopSequenceLength - 1);
+    if (emitLength > 0) {
+      this.writeText(this.pendingText.slice(0, emitLength));
+      this.pendingText = this.pendingText.slice(emitLength);
+    }
+  }
+
+  flushPendingText() {
+    if (!this.pendingText) return;
+    const text = this.pendingText;
+    this.pendingText = '';
+    this.writeText(text);
+  }
+
+  writeText(text) {
     if (!text) return;
     // 确保思考块先结束，避免与正文交叉
     this.closeThinkingBlock();
@@ -258,7 +460,8 @@ export class ClaudeSseEmitter {
   }
 
   sendThinking(thinking) {
-    if (!thinking) return;
+    if (!thinking || this.stopSequence) return;
+    this.flushPendingText();
     // thinking 到来时关闭已有正文块，避免嵌套
     this.closeTextBlock();
     this.ensureThinkingBlock();
@@ -270,10 +473,13 @@ export class ClaudeSseEmitter {
     });
   }
 
-  async sendToolCalls(toolCalls = []) {
-    if (!toolCalls || toolCalls.length === 0) return;
-    await this.closeTextBlock();
-    await this.closeThinkingBlock();
+  sendToolCalls(toolCalls = []) {
+    if (!toolCalls || toolCalls.length === 0 || this.stopSequence) return;
+    this.start();
+    this.flushPendingText();
+    this.hasToolUse = true;
+    this.closeTextBlock();
+    this.closeThinkingBlock();
 
     toolCalls.forEach(call => {
       const index = this.nextIndex++;
@@ -299,23 +505,25 @@ export class ClaudeSseEmitter {
     });
   }
 
-  async closeTextBlock() {
+  closeTextBlock() {
     if (this.textBlockIndex === null) return;
     const index = this.textBlockIndex;
     this.textBlockIndex = null;
     writeSSE(this.res, 'content_block_stop', { type: 'content_block_stop', index });
   }
 
-  async closeThinkingBlock() {
+  closeThinkingBlock() {
     if (this.thinkingBlockIndex === null) return;
     const index = this.thinkingBlockIndex;
     this.thinkingBlockIndex = null;
     writeSSE(this.res, 'content_block_stop', { type: 'content_block_stop', index });
   }
 
-  finish(usage) {
+  finish(usage, finishReason) {
     if (this.finished) return;
     this.finished = true;
+    this.start();
+    this.flushPendingText();
     this.closeTextBlock();
     this.closeThinkingBlock();
 
@@ -330,7 +538,10 @@ export class ClaudeSseEmitter {
 
     writeSSE(this.res, 'message_delta', {
       type: 'message_delta',
-      delta: { stop_reason: 'end_turn', stop_sequence: null },
+      delta: {
+        stop_reason: this.stopSequence ? 'stop_sequence' : mapFinishReasonToClaude(finishReason, this.hasToolUse),
+        stop_sequence: this.stopSequence
+      },
       usage: {
         input_tokens: inputTokens || 0,
         output_tokens: outputTokens || 0
@@ -0,0 +1,77 @@
+import { estimateTokensFromText } from './claudeAdapter.js';
+
+const GEMINI_GENERATION_METHODS = ['generateContent', 'streamGenerateContent', 'countTokens'];
+
+// 路径中的模型段形如 "gemini-2.5-pro:streamGenerateContent"，部分 SDK 还会带上 "models/" 前缀
+export function parseGeminiModelAction(raw) {
+  const value = String(raw || '').replace(/^models\//, '');
+  const separatorIndex = value.lastIndexOf(':');
+  if (separatorIndex === -1) {
+    return { model: value, action: null };
+  }
+  return {
+    model: value.slice(0, separatorIndex),
+    action: value.slice(separatorIndex + 1)
+  };
+}
+
+function extractTextFromParts(parts = []) {
+  return (Array.isArray(parts) ? parts : [])
+    .map(part => {
+      if (!part || typeof part !== 'object') return '';
+      if (typeof part.text === 'string') return part.text;
+      if (part.functionCall) return JSON.stringify(part.functionCall);
+      if (part.functionResponse) return JSON.stringify(part.functionResponse);
+      return '';
+    })
+    .join('');
+}
+
+// 上游没有 countTokens 接口，按与 Claude count_tokens 相同的字符数规则做本地估算
+export function countGeminiTokens(body) {
+  const request = body?.generateContentRequest || body || {};
+  if (!Array.isArray(request.contents)) {
+    throw new Error('contents is required for Gemini countTokens');
+  }
+
+  let totalText = request.contents.map(content => extractTextFromParts(content?.parts)).join('\n');
+
+  if (request.systemInstruction) {
+    totalText += `\n${extractTextFromParts(request.systemInstruction.parts)}`;
+  }
+
+  if (Array.isArray(request.tools) && request.tools.length > 0) {
+    totalText += `\n${JSON.stringify(request.tools)}`;
+  }
+
+  return { totalTokens: estimateTokensFromText(totalText) };
+}
+
+export function toGeminiModel(id) {
+  return {
+    name: `models/${id}`,
+    baseModelId: id,
+    version: '001',
+    displayName: id,
+    description: '',
+    supportedGenerationMethods: GEMINI_GENERATION_METHODS
+  };
+}
+
+// 将 OpenAI 风格的模型列表转换为 Gemini ListModels 响应
+export function buildGeminiModelList(openaiModels) {
+  const items = Array.isArray(openaiModels?.data) ? openaiModels.data : [];
+  return { models: items.map(item => toGeminiModel(item.id)) };
+}
+
+export function buildGeminiError(status, message) {
+  const statusText = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    503: 'UNAVAILABLE'
+  }[status] || 'INTERNAL';
+  return { error: { code: status, message, status: statusText } };
+}
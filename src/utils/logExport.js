@@ -0,0 +1,139 @@
+import fs from 'fs';
+
+const PACKAGE_VERSION = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf-8')).version || '0.0.0';
+  } catch {
+    return '0.0.0';
+  }
+})();
+
+// 调用日志导出格式：jsonl（摘要，可附带详情）、csv（仅摘要列）、har（可在浏览器开发者工具中打开）
+export const LOG_EXPORT_FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  har: { contentType: 'application/json; charset=utf-8', extension: 'har' }
+};
+
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'method',
+  'path',
+  'model',
+  'projectId',
+  'keyName',
+  'status',
+  'success',
+  'durationMs',
+  'promptTokens',
+  'completionTokens',
+  'reasoningTokens',
+  'totalTokens',
+  'message'
+];
+
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // 防止表格软件把 = + - @ 开头的内容当作公式执行
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 带 BOM，Excel 打开中文不乱码
+export function csvHeader() {
+  return `\uFEFF${CSV_COLUMNS.join(',')}\r\n`;
+}
+
+export function toCsvRow(entry) {
+  return `${CSV_COLUMNS.map(column => escapeCsvValue(entry[column])).join(',')}\r\n`;
+}
+
+export function toJsonlLine(entry, detail) {
+  const { detailRef, detailSize, ...summary } = entry;
+  return `${JSON.stringify(detail === undefined ? summary : { ...summary, detail })}\n`;
+}
+
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item) }))
+  );
+}
+
+function toHarContent(body) {
+  if (body === undefined || body === null) return { size: 0, mimeType: 'application/json', text: '' };
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return { size: Buffer.byteLength(text, 'utf-8'), mimeType: 'application/json', text };
+}
+
+export function harPrefix() {
+  const creator = { name: 'antigravity-to-openai', version: PACKAGE_VERSION };
+  return `{"log":{"version":"1.2","creator":${JSON.stringify(creator)},"entries":[`;
+}
+
+export const HAR_SUFFIX = ']}}\n';
+
+// host 取自日志中的请求头，可能是任意字符串；无法组成合法 URL 时退回 localhost，避免流式导出中途抛错
+function toHarUrl(requestPath, host) {
+  for (const base of [`http://${host}`, 'http://localhost']) {
+    try {
+      return new URL(requestPath, base);
+    } catch {
+      // 尝试下一个 base
+    }
+  }
+  return new URL('http://localhost/');
+}
+
+// detail 为 getLogDetail 中解压后的 { request, response }，headers 需由调用方脱敏后传入
+export function toHarEntry(entry, detail = null) {
+  const request = detail?.request || {};
+  const response = detail?.response || {};
+  const requestPath = request.path || entry.path || '/';
+  const host = request.headers?.host || 'localhost';
+  const url = toHarUrl(requestPath, host);
+  const durationMs = Number(entry.durationMs) || 0;
+
+  return {
+    startedDateTime: entry.timestamp,
+    time: durationMs,
+    request: {
+      method: request.method || entry.method || 'POST',
+      url: url.toString(),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      ...(request.body !== undefined ? { postData: { mimeType: 'application/json', text: JSON.stringify(request.body) } } : {}),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: Number(response.status ?? entry.status) || 0,
+      statusText: entry.success ? 'OK' : entry.message || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(response.headers),
+      content: toHarContent(response.body),
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: durationMs, receive: 0 },
+    // HAR 允许以下划线开头的自定义字段
+    _log: {
+      id: entry.id,
+      model: entry.model || null,
+      projectId: entry.projectId || null,
+      keyName: entry.keyName || null,
+      success: entry.success,
+      message: entry.message || null,
+      promptTokens: entry.promptTokens ?? null,
+      completionTokens: entry.completionTokens ?? null,
+      reasoningTokens: entry.reasoningTokens ?? null,
+      totalTokens: entry.totalTokens ?? null
+    }
+  };
+}
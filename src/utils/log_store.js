@@ -4,6 +4,8 @@ import { randomUUID } from 'crypto';
 import { gzipSync, gunzipSync } from 'zlib';
 import { fileURLToPath } from 'url';
 import config from '../config/config.js';
+import log from './logger.js';
+import { backfillUsageRollups, getUsageRollups, recordUsageRollup } from './usage_rollup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,10 +17,35 @@ const DETAIL_DIR = config.logging.requestLogDetailDir
   ? path.resolve(config.logging.requestLogDetailDir)
   : path.join(path.dirname(LOG_FILE), 'request_logs');
 
+// 日志以追加写入的 JSONL 分段保存（每行一条摘要），LOG_FILE 仅作为旧版整文件 JSON 的迁移来源
+const SEGMENT_DIR = path.join(path.dirname(LOG_FILE), `${path.basename(LOG_FILE, path.extname(LOG_FILE))}_segments`);
+const SEGMENT_PATTERN = /^(\d+)\.jsonl$/;
+const SEGMENT_MAX_BYTES = 4 * 1024 * 1024;
+const COMPACT_INTERVAL_MS = 10 * 60 * 1000;
+
+// 滚动用量计数单独保存，清空日志、压缩或重启都不影响账号每小时上限与 API Key 预算；
+// 这些限额最长只看当天，保留两天足够
+const USAGE_FILE = path.join(path.dirname(LOG_FILE), 'usage_counters.json');
+const USAGE_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+const USAGE_FLUSH_DELAY_MS = 5000;
+
 const MAX_LOGS = config.logging.requestLogMaxItems;
 const RETENTION_DAYS = Math.max(1, config.logging.requestLogRetentionDays);
 const LOG_RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
 
+// 内存索引：启动后首次访问时从分段加载，之后读取都不再碰磁盘
+const store = {
+  loaded: false,
+  entries: [], // 按时间升序
+  byId: new Map(),
+  segment: null, // 当前追加的分段 { index, filePath, bytes }
+  appendedSinceCompact: 0,
+  // 滚动用量计数，与日志条数上限、保留天数及清空操作解耦
+  projectUsage: new Map(), // projectId -> 成功调用时间戳（升序）
+  keyUsage: new Map(), // keyName -> [{ timestamp, tokens }]（升序）
+  usageFlushTimer: null
+};
+
 function getLogLevel() {
   const raw = (config.logging.requestLogLevel || '').toLowerCase();
   if (raw === 'off' || raw === 'error' || raw === 'all') return raw;
@@ -43,23 +70,17 @@ function parseTimestamp(value) {
   return Number.isNaN(parsed) ? null : parsed;
 }
 
-function pruneLogs(logs, now = Date.now()) {
-  const cutoff = now - LOG_RETENTION_MS;
-  return logs.filter(log => {
-    const timestamp = parseTimestamp(log?.timestamp);
-    return timestamp !== null && timestamp >= cutoff;
-  });
-}
-
 function ensureDir() {
   const dir = path.dirname(LOG_FILE);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 
-  if (!fs.existsSync(DETAIL_DIR)) {
-    fs.mkdirSync(DETAIL_DIR, { recursive: true });
-  }
+  [DETAIL_DIR, SEGMENT_DIR].forEach(target => {
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(target, { recursive: true });
+    }
+  });
 }
 
 function detailFilePath(id) {
@@ -128,45 +149,253 @@ function deleteDetail(detailRef) {
   }
 }
 
-function cleanupRemovedLogs(original, retained) {
-  const retainedIds = new Set(retained.map(log => log.id || log.timestamp));
-  original
-    .filter(log => !retainedIds.has(log.id || log.timestamp))
-    .forEach(log => deleteDetail(log.detailRef));
+function segmentPath(index) {
+  return path.join(SEGMENT_DIR, `${String(index).padStart(6, '0')}.jsonl`);
 }
 
-export function readLogs() {
+function listSegments() {
+  if (!fs.existsSync(SEGMENT_DIR)) return [];
+  return fs.readdirSync(SEGMENT_DIR)
+    .map(name => SEGMENT_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(match => ({ index: Number(match[1]), filePath: path.join(SEGMENT_DIR, match[0]) }))
+    .sort((a, b) => a.index - b.index);
+}
+
+function toLine(entry) {
+  return `${JSON.stringify(entry)}\n`;
+}
+
+// 先写临时文件再改名，避免写到一半崩溃留下残缺分段
+function writeSegment(index, entries) {
+  const filePath = segmentPath(index);
+  const content = entries.map(toLine).join('');
+  fs.writeFileSync(`${filePath}.tmp`, content, 'utf-8');
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  return { index, filePath, bytes: Buffer.byteLength(content, 'utf-8') };
+}
+
+// 崩溃可能留下写了一半的最后一行，解析失败的行直接跳过
+function readSegment(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && entry.id);
+}
+
+function lowerBound(list, value, getValue) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (getValue(list[mid]) < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// 条目基本按时间顺序到达，从尾部插入即可
+function insertSorted(list, item, getValue) {
+  let index = list.length;
+  while (index > 0 && getValue(list[index - 1]) > getValue(item)) index -= 1;
+  list.splice(index, 0, item);
+}
+
+const entryTime = entry => parseTimestamp(entry.timestamp) ?? 0;
+const usageTime = item => item.timestamp;
+const identity = value => value;
+
+function recordUsage(entry) {
+  const timestamp = parseTimestamp(entry.timestamp);
+  if (timestamp === null) return;
+
+  if (entry.projectId && entry.success !== false) {
+    if (!store.projectUsage.has(entry.projectId)) store.projectUsage.set(entry.projectId, []);
+    insertSorted(store.projectUsage.get(entry.projectId), timestamp, identity);
+  }
+
+  // budgetExempt 的调用（如 count_tokens）不消耗上游配额，不计入 API Key 预算
+  if (entry.keyName && !entry.budgetExempt) {
+    if (!store.keyUsage.has(entry.keyName)) store.keyUsage.set(entry.keyName, []);
+    insertSorted(store.keyUsage.get(entry.keyName), { timestamp, tokens: Number(entry.totalTokens) || 0 }, usageTime);
+  }
+}
+
+function trimUsage(now = Date.now()) {
+  const cutoff = now - USAGE_RETENTION_MS;
+  [[store.projectUsage, identity], [store.keyUsage, usageTime]].forEach(([usage, getValue]) => {
+    usage.forEach((list, key) => {
+      list.splice(0, lowerBound(list, cutoff, getValue));
+      if (list.length === 0) usage.delete(key);
+    });
+  });
+}
+
+// 读取已保存的用量计数；文件不存在（首次升级）时返回 false，由调用日志回填
+function loadUsageCounters() {
+  if (!fs.existsSync(USAGE_FILE)) return false;
+  try {
+    const data = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf-8') || '{}');
+    const toMap = value => new Map(Object.entries(value && typeof value === 'object' ? value : {})
+      .filter(([, list]) => Array.isArray(list)));
+    store.projectUsage = toMap(data.projectUsage);
+    store.keyUsage = toMap(data.keyUsage);
+  } catch (error) {
+    log.warn('读取用量计数失败，将重新开始统计:', error.message);
+  }
+  return true;
+}
+
+// 先写临时文件再改名，避免写到一半崩溃留下残缺文件
+export function flushUsageCounters() {
+  if (store.usageFlushTimer) {
+    clearTimeout(store.usageFlushTimer);
+    store.usageFlushTimer = null;
+  }
+  if (!store.loaded) return;
+  try {
+    trimUsage();
+    const data = {
+      version: 1,
+      projectUsage: Object.fromEntries(store.projectUsage),
+      keyUsage: Object.fromEntries(store.keyUsage)
+    };
+    fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+    fs.writeFileSync(`${USAGE_FILE}.tmp`, JSON.stringify(data), 'utf-8');
+    fs.renameSync(`${USAGE_FILE}.tmp`, USAGE_FILE);
+  } catch (error) {
+    log.warn('保存用量计数失败:', error.message);
+  }
+}
+
+// 高频请求下合并写盘
+function scheduleUsageFlush() {
+  if (store.usageFlushTimer) return;
+  store.usageFlushTimer = setTimeout(flushUsageCounters, USAGE_FLUSH_DELAY_MS);
+  store.usageFlushTimer.unref?.();
+}
+
+// 从内存索引中淘汰过期与超出条数上限的条目（同时删除详情文件），磁盘上的行留给压缩时清理
+function pruneIndex(now = Date.now()) {
+  const cutoff = now - LOG_RETENTION_MS;
+  let removeCount = 0;
+  while (removeCount < store.entries.length && entryTime(store.entries[removeCount]) < cutoff) {
+    removeCount += 1;
+  }
+  removeCount = Math.max(removeCount, store.entries.length - MAX_LOGS);
+  if (removeCount <= 0) return 0;
+
+  store.entries.splice(0, removeCount).forEach(entry => {
+    store.byId.delete(entry.id);
+    deleteDetail(entry.detailRef);
+  });
+  return removeCount;
+}
+
+// 一次性迁移：把旧版 request_logs.json 写成第一个分段，原文件改名为 .migrated
+function migrateLegacyFile() {
+  if (!fs.existsSync(LOG_FILE)) return;
   try {
-    if (!fs.existsSync(LOG_FILE)) return [];
-    const raw = fs.readFileSync(LOG_FILE, 'utf-8');
-    const data = JSON.parse(raw);
-    const normalized = (Array.isArray(data) ? data : []).map(entry => ({
-      ...entry,
-      id: entry?.id || randomUUID()
-    }));
-    const needsIdPersist = (Array.isArray(data) ? data : []).some(entry => !entry?.id);
-
-    let pruned = pruneLogs(normalized);
-    let updated = pruned.length !== normalized.length || needsIdPersist;
-
-    if (updated) cleanupRemovedLogs(normalized, pruned);
-
-    if (pruned.length > MAX_LOGS) {
-      const sliced = pruned.slice(-MAX_LOGS);
-      cleanupRemovedLogs(pruned, sliced);
-      pruned = sliced;
-      updated = true;
+    if (listSegments().length === 0) {
+      const data = JSON.parse(fs.readFileSync(LOG_FILE, 'utf-8'));
+      const entries = (Array.isArray(data) ? data : [])
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => ({ ...entry, id: entry.id || randomUUID() }));
+      writeSegment(1, entries);
+      log.info(`已将 ${entries.length} 条请求日志迁移到 ${SEGMENT_DIR}`);
     }
+    fs.renameSync(LOG_FILE, `${LOG_FILE}.migrated`);
+  } catch (error) {
+    log.warn('迁移旧版请求日志失败，已跳过:', error.message);
+  }
+}
+
+function loadIndex() {
+  if (store.loaded) return;
+  store.loaded = true;
 
-    if (updated) {
-      ensureDir();
-      fs.writeFileSync(LOG_FILE, JSON.stringify(pruned, null, 2));
+  try {
+    ensureDir();
+    migrateLegacyFile();
+
+    // 压缩中途崩溃可能同时留下新旧分段，按 id 去重即可
+    const segments = listSegments();
+    const byId = new Map();
+    segments.forEach(segment => {
+      readSegment(segment.filePath).forEach(entry => byId.set(entry.id, entry));
+    });
+
+    store.entries = [...byId.values()].sort((a, b) => entryTime(a) - entryTime(b));
+    store.byId = byId;
+    if (!loadUsageCounters()) {
+      store.entries.forEach(recordUsage);
+      flushUsageCounters();
+    }
+    trimUsage();
+    backfillUsageRollups(store.entries);
+
+    const last = segments[segments.length - 1];
+    if (last) {
+      const bytes = fs.statSync(last.filePath).size;
+      // 残缺的最后一行补上换行，避免与新追加的行粘在一起
+      if (bytes > 0 && !fs.readFileSync(last.filePath, 'utf-8').endsWith('\n')) {
+        fs.appendFileSync(last.filePath, '\n');
+      }
+      store.segment = { ...last, bytes };
     }
 
-    return pruned;
-  } catch {
-    return [];
+    if (pruneIndex() > 0 || segments.length > 1) compactLogs();
+  } catch (error) {
+    log.error('加载请求日志失败:', error.message);
+  }
+}
+
+function appendToSegment(entry) {
+  if (!store.segment || store.segment.bytes >= SEGMENT_MAX_BYTES) {
+    const index = (store.segment?.index || 0) + 1;
+    store.segment = { index, filePath: segmentPath(index), bytes: 0 };
   }
+  const line = toLine(entry);
+  fs.appendFileSync(store.segment.filePath, line, 'utf-8');
+  store.segment.bytes += Buffer.byteLength(line, 'utf-8');
+}
+
+// 压缩：把内存中仍保留的条目重写为一个新分段并删除旧分段，使磁盘占用回到 requestLogMaxItems / retentionDays 以内
+export function compactLogs() {
+  loadIndex();
+  try {
+    ensureDir();
+    pruneIndex();
+    trimUsage();
+    const segments = listSegments();
+    const index = (segments[segments.length - 1]?.index || 0) + 1;
+    store.segment = writeSegment(index, store.entries);
+    segments.forEach(segment => fs.unlinkSync(segment.filePath));
+    store.appendedSinceCompact = 0;
+    return true;
+  } catch (error) {
+    log.warn('压缩请求日志失败:', error.message);
+    return false;
+  }
+}
+
+const compactTimer = setInterval(() => {
+  if (!store.loaded) return;
+  if (store.appendedSinceCompact > 0 || pruneIndex() > 0) compactLogs();
+}, COMPACT_INTERVAL_MS);
+compactTimer.unref?.();
+
+export function readLogs() {
+  loadIndex();
+  pruneIndex();
+  return [...store.entries];
 }
 
 export function appendLog(entry) {
@@ -187,8 +416,8 @@ export function appendLog(entry) {
   const now = parseTimestamp(timestamp) || Date.now();
   const usageOnly = trackUsage && !allowLog;
 
+  loadIndex();
   ensureDir();
-  const baseLogs = pruneLogs(readLogs(), now);
   const mergedEntry = usageOnly
     ? { ...normalizedEntry, usageOnly: true }
     : {
@@ -196,14 +425,23 @@ export function appendLog(entry) {
         ...(detail ? writeDetail(id, detail) : {})
       };
 
-  const updated = [...baseLogs, mergedEntry];
-  let sliced = updated;
-  if (updated.length > MAX_LOGS) {
-    sliced = updated.slice(-MAX_LOGS);
-    cleanupRemovedLogs(updated, sliced);
+  try {
+    appendToSegment(mergedEntry);
+  } catch (error) {
+    log.warn('写入请求日志失败:', error.message);
   }
 
-  fs.writeFileSync(LOG_FILE, JSON.stringify(sliced, null, 2));
+  insertSorted(store.entries, mergedEntry, entryTime);
+  store.byId.set(id, mergedEntry);
+  recordUsage(mergedEntry);
+  scheduleUsageFlush();
+  recordUsageRollup(mergedEntry);
+  pruneIndex(now);
+
+  // 追加的行数达到条数上限时压缩一次，磁盘上最多约保留两倍上限的行
+  store.appendedSinceCompact += 1;
+  if (store.appendedSinceCompact >= MAX_LOGS) compactLogs();
+
   return mergedEntry;
 }
 
@@ -215,10 +453,113 @@ export function getRecentLogs(limit = 200) {
     .map(log => ({ ...log, hasDetail: Boolean(log.detailRef) }));
 }
 
+// 日志筛选：from / to 为毫秒时间戳；model、path 为不区分大小写的包含匹配；status 可为具体状态码或 4xx / 5xx；
+// success 为 true / false；q 在失败原因中做不区分大小写的包含匹配
+function matchesFilters(entry, filters) {
+  if (entry.usageOnly) return false;
+  const timestamp = entryTime(entry);
+  if (filters.from != null && timestamp < filters.from) return false;
+  if (filters.to != null && timestamp > filters.to) return false;
+
+  const includes = (value, keyword) => String(value || '').toLowerCase().includes(String(keyword).toLowerCase());
+  if (filters.model && !includes(entry.model, filters.model)) return false;
+  if (filters.path && !includes(entry.path, filters.path)) return false;
+  if (filters.projectId && entry.projectId !== filters.projectId) return false;
+  if (filters.keyName && entry.keyName !== filters.keyName) return false;
+  if (filters.success != null && Boolean(entry.success) !== filters.success) return false;
+  if (filters.q && !includes(entry.message, filters.q)) return false;
+
+  if (filters.status) {
+    const status = String(entry.status ?? '');
+    const classMatch = /^([1-5])xx$/i.exec(filters.status);
+    if (classMatch ? !status.startsWith(classMatch[1]) : status !== String(filters.status)) return false;
+  }
+  return true;
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ id: entry.id, t: entryTime(entry) }), 'utf-8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// 游标之前（更早）的第一个位置；游标对应的条目已被淘汰时按时间戳定位
+function cursorStartIndex(entries, cursor) {
+  const position = decodeCursor(cursor);
+  if (!position) return entries.length - 1;
+  const index = store.byId.has(position.id) ? entries.lastIndexOf(store.byId.get(position.id)) : -1;
+  return index >= 0 ? index - 1 : lowerBound(entries, Number(position.t) || 0, entryTime) - 1;
+}
+
+// 按时间顺序遍历所有符合筛选条件的日志（导出使用）
+export function* iterateLogs(filters = {}) {
+  for (const entry of readLogs()) {
+    if (matchesFilters(entry, filters)) yield entry;
+  }
+}
+
+// 分页查询：返回一页日志（时间倒序）、下一页游标以及当前筛选条件下的汇总
+export function queryLogs(filters = {}, { limit = 50, cursor = null } = {}) {
+  const entries = readLogs();
+  const startIndex = cursor ? cursorStartIndex(entries, cursor) : entries.length - 1;
+  const logs = [];
+  let hasMore = false;
+  const aggregates = {
+    total: 0,
+    success: 0,
+    failed: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    reasoningTokens: 0,
+    totalTokens: 0,
+    avgDurationMs: null,
+    statuses: {},
+    models: {}
+  };
+  let durationSum = 0;
+  let durationCount = 0;
+
+  for (let index = entries.length - 1; index >= 0; index -= 1) {
+    const entry = entries[index];
+    if (!matchesFilters(entry, filters)) continue;
+
+    aggregates.total += 1;
+    if (entry.success) aggregates.success += 1;
+    else aggregates.failed += 1;
+    ['promptTokens', 'completionTokens', 'reasoningTokens', 'totalTokens'].forEach(field => {
+      aggregates[field] += Number(entry[field]) || 0;
+    });
+    const status = String(entry.status ?? '未知');
+    aggregates.statuses[status] = (aggregates.statuses[status] || 0) + 1;
+    const model = entry.model || '未指定模型';
+    aggregates.models[model] = (aggregates.models[model] || 0) + 1;
+    if (Number.isFinite(Number(entry.durationMs))) {
+      durationSum += Number(entry.durationMs);
+      durationCount += 1;
+    }
+
+    if (index > startIndex) continue;
+    if (logs.length < limit) logs.push({ ...entry, hasDetail: Boolean(entry.detailRef) });
+    else hasMore = true;
+  }
+
+  if (durationCount > 0) aggregates.avgDurationMs = Math.round(durationSum / durationCount);
+  const nextCursor = hasMore && logs.length > 0 ? encodeCursor(logs[logs.length - 1]) : null;
+  return { logs, nextCursor, aggregates };
+}
+
 export function getLogDetail(id) {
   if (!id) return null;
-  const logs = readLogs();
-  const found = logs.find(log => log.id === id);
+  loadIndex();
+  pruneIndex();
+  const found = store.byId.get(id);
   if (!found) return null;
   const detail = found.detailRef ? readDetail(found.detailRef) : null;
   return { ...found, detail };
@@ -227,11 +568,9 @@ export function getLogDetail(id) {
 export function getUsageCountsWithinWindow(windowMs = 60 * 60 * 1000) {
   const since = Date.now() - Math.abs(windowMs);
   const summary = {};
+  const logs = readLogs();
 
-  readLogs().forEach(log => {
-    const timestamp = Date.parse(log.timestamp || '');
-    if (Number.isNaN(timestamp) || timestamp < since) return;
-
+  logs.slice(lowerBound(logs, since, entryTime)).forEach(log => {
     const key = log.projectId || '未知项目';
     if (!summary[key]) {
       summary[key] = { count: 0, success: 0, failed: 0, lastUsedAt: null };
@@ -258,34 +597,56 @@ export function getUsageCountSince(projectId, sinceTimestampMs) {
     ? Number(sinceTimestampMs)
     : Date.now() - 60 * 60 * 1000;
 
-  return readLogs().filter(log => {
-    if (!log?.projectId || log.projectId !== projectId) return false;
-    if (log.success === false) return false;
+  loadIndex();
+  const timestamps = store.projectUsage.get(projectId) || [];
+  return timestamps.length - lowerBound(timestamps, since, identity);
+}
+
+// 窗口内成功调用的时间戳（升序），用于推算每小时上限何时恢复
+export function getUsageTimestampsSince(projectId, sinceTimestampMs) {
+  if (!projectId) return [];
+
+  loadIndex();
+  const timestamps = store.projectUsage.get(projectId) || [];
+  return timestamps.slice(lowerBound(timestamps, sinceTimestampMs, identity));
+}
 
-    const timestamp = Date.parse(log.timestamp || '');
-    if (Number.isNaN(timestamp)) return false;
+// 某个客户端 API Key 在时间窗口内的请求数与 token 用量
+export function getKeyUsageSince(keyName, sinceTimestampMs) {
+  const usage = { requests: 0, tokens: 0 };
+  if (!keyName) return usage;
 
-    return timestamp >= since;
-  }).length;
+  loadIndex();
+  const list = store.keyUsage.get(keyName) || [];
+  list.slice(lowerBound(list, sinceTimestampMs, usageTime)).forEach(item => {
+    usage.requests += 1;
+    usage.tokens += item.tokens;
+  });
+
+  return usage;
 }
 
-export function getUsageSummary() {
+// groupBy：projectId 按凭证汇总，keyName 按客户端 API Key 汇总
+export function getUsageSummary(groupBy = 'projectId') {
   const logs = readLogs();
   const summary = {};
+  const fallbackKey = groupBy === 'keyName' ? '未知密钥' : '未知项目';
 
   logs.forEach(log => {
-    const key = log.projectId || '未知项目';
+    const key = log[groupBy] || fallbackKey;
     if (!summary[key]) {
       summary[key] = {
         total: 0,
         success: 0,
         failed: 0,
         lastUsedAt: null,
+        totalTokens: 0,
         models: new Set()
       };
     }
 
     summary[key].total += 1;
+    summary[key].totalTokens += Number(log.totalTokens) || 0;
     summary[key].models.add(log.model || '未指定模型');
     if (log.success) {
       summary[key].success += 1;
@@ -303,30 +664,29 @@ export function getUsageSummary() {
   return summary;
 }
 
+// 按小时 / 天的用量趋势，数据来自独立保存的用量汇总（见 usage_rollup.js），不受日志淘汰与清空影响
+export function getUsageTrends(options = {}) {
+  loadIndex();
+  return getUsageRollups(options);
+}
+
+// 只清空日志与详情，用量计数和用量汇总保留，避免清空后账号上限与 API Key 预算被重置
 export function clearLogs() {
   try {
-    // 根据索引文件记录的 detailRef 做一次定向清理
-    if (fs.existsSync(LOG_FILE)) {
+    loadIndex();
+    store.entries.forEach(entry => deleteDetail(entry.detailRef));
+    store.entries = [];
+    store.byId = new Map();
+    store.segment = null;
+    store.appendedSinceCompact = 0;
+
+    listSegments().forEach(segment => {
       try {
-        const raw = fs.readFileSync(LOG_FILE, 'utf-8');
-        const data = JSON.parse(raw);
-        if (Array.isArray(data)) {
-          data.forEach(entry => {
-            if (entry && entry.detailRef) {
-              deleteDetail(entry.detailRef);
-            }
-          });
-        }
+        fs.unlinkSync(segment.filePath);
       } catch {
-        // 索引解析失败直接忽略，继续做兜底清理
+        // 单个分段删除失败不影响整体
       }
-
-      try {
-        fs.unlinkSync(LOG_FILE);
-      } catch {
-        // 索引删除失败不影响后续清理
-      }
-    }
+    });
 
     // 兜底：清空详情目录中的所有文件，防止历史残留
     if (fs.existsSync(DETAIL_DIR)) {
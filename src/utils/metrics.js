@@ -0,0 +1,169 @@
+// Prometheus 指标：进程内累计，由 /metrics 以文本格式导出（不依赖 prom-client）
+const DEFAULT_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+  constructor(name, help, type, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map(); // 标签值序列化后的 key -> { labels, ... }
+  }
+
+  // 未提供的标签补空串，多余的标签忽略，保证同一指标的标签集合一致
+  getSeries(labels = {}, create) {
+    const normalized = Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')]));
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) this.series.set(key, create(normalized));
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`));
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_DURATION_BUCKETS) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) return;
+    const series = this.getSeries(labels, normalized => ({
+      labels: normalized,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help, labelNames) {
+    const metric = new Counter(name, help, labelNames);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    const metric = new Histogram(name, help, labelNames, buckets);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // 抓取时才计算的 gauge（如账号状态）：collect 返回 [{ labels, value }]
+  gauge(name, help, collect) {
+    this.collectors.push({ name, help, collect });
+  }
+
+  render() {
+    const lines = this.metrics.flatMap(metric => metric.render());
+    this.collectors.forEach(({ name, help, collect }) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+      try {
+        (collect() || []).forEach(({ labels = {}, value }) => {
+          lines.push(`${name}${formatLabels(labels)} ${formatValue(Number(value))}`);
+        });
+      } catch {
+        // 单个采集失败不影响其余指标
+      }
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const metrics = new MetricsRegistry();
+
+export const httpRequestsTotal = metrics.counter(
+  'antigravity_http_requests_total',
+  'API requests handled, by route, model and status',
+  ['route', 'model', 'status']
+);
+export const httpRequestDuration = metrics.histogram(
+  'antigravity_http_request_duration_seconds',
+  'API request latency in seconds, by route, model and status',
+  ['route', 'model', 'status']
+);
+export const streamTimeToFirstToken = metrics.histogram(
+  'antigravity_stream_time_to_first_token_seconds',
+  'Time from request start to the first non-heartbeat chunk of a streaming response',
+  ['route', 'model']
+);
+export const upstreamRetriesTotal = metrics.counter(
+  'antigravity_upstream_retries_total',
+  'Upstream retries on the same account in withRetry, by status',
+  ['status']
+);
+export const tokenSwitchesTotal = metrics.counter(
+  'antigravity_token_switches_total',
+  'Account switches in withRetry after repeated 429s',
+  []
+);
+export const tokenRefreshFailuresTotal = metrics.counter(
+  'antigravity_token_refresh_failures_total',
+  'Failed OAuth access token refreshes, by status',
+  ['status']
+);
+export const requesterFallbacksTotal = metrics.counter(
+  'antigravity_requester_fallbacks_total',
+  'Fallbacks from AntigravityRequester to axios, by reason',
+  ['reason']
+);
+
+export default metrics;
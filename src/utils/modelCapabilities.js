@@ -0,0 +1,178 @@
+import { loadDataConfig, saveDataConfig } from '../config/dataConfig.js';
+import log from './logger.js';
+import { matchesPattern } from './modelRoutes.js';
+
+// 模型能力登记表：请求构造时按模型查询思维链、top_p、工具、图像输出等能力，不再在各处按模型名硬编码判断。
+// 优先级：按模型名推断的默认值 < fetchAvailableModels 返回的元数据 < data/config.json 中 MODEL_CAPABILITIES 的覆盖项
+const CONFIG_KEY = 'MODEL_CAPABILITIES';
+
+const DEFAULT_THINKING_BUDGET = 1024;
+
+// OpenAI reasoning_effort / Responses reasoning.effort 对应的思维预算
+export const REASONING_EFFORT_BUDGETS = { low: 1024, medium: 8192, high: 24576 };
+
+// 模型名后缀约定：claude-sonnet-4-5-thinking-8000 表示使用 claude-sonnet-4-5-thinking，思维预算 8000
+const THINKING_SUFFIX_PATTERN = /^(.+-thinking)-(\d+)$/;
+
+// 可覆盖的字段及类型；number 类型允许 null 表示未知 / 不限制
+export const CAPABILITY_FIELDS = {
+  thinking: 'boolean', // 是否启用思维链
+  defaultThinkingBudget: 'number', // 请求未指定时的思维预算
+  maxThinkingBudget: 'number', // 思维预算上限
+  topPWithThinking: 'boolean', // 启用思维链时能否同时携带 topP（Claude 不允许）
+  thinkingWithToolHistory: 'boolean', // 对话中已有工具调用时能否继续启用思维链（Claude 不允许）
+  thoughtSignatures: 'boolean', // 是否接受 thoughtSignature，不接受时请求前剔除
+  textThoughtSignatures: 'boolean', // 文本 part 是否回填缓存的思维签名
+  tools: 'boolean', // 是否支持工具调用
+  imageOutput: 'boolean', // 是否输出图像（生图模型）
+  vision: 'boolean', // 是否支持图像输入
+  contextWindow: 'number', // 上下文窗口（tokens）
+  maxOutputTokens: 'number' // 单次输出上限，请求的 max_tokens 超出时截断
+};
+
+const THINKING_MODELS = ['gemini-2.5-pro', 'rev19-uic3-1p', 'gpt-oss-120b-medium'];
+
+// 上游未提供元数据时按模型名推断，与此前硬编码的判断保持一致
+function inferCapabilities(model) {
+  const id = String(model || '');
+  const isClaude = id.includes('claude');
+  const isImage = id.includes('-image');
+  return {
+    thinking: id.endsWith('-thinking') || id.startsWith('gemini-3-pro-') || THINKING_MODELS.includes(id),
+    defaultThinkingBudget: DEFAULT_THINKING_BUDGET,
+    maxThinkingBudget: null,
+    topPWithThinking: !isClaude,
+    thinkingWithToolHistory: !isClaude,
+    thoughtSignatures: !isClaude,
+    textThoughtSignatures: id.includes('gemini-3'),
+    tools: !isImage,
+    imageOutput: isImage,
+    vision: !id.startsWith('gpt-oss'),
+    contextWindow: null,
+    maxOutputTokens: null
+  };
+}
+
+function toPositiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+// fetchAvailableModels 中每个模型的元数据（字段缺失时不覆盖推断值）
+function fromUpstreamMetadata(info = {}) {
+  const capabilities = {
+    thinking: typeof info.supportsThinking === 'boolean' ? info.supportsThinking : undefined,
+    maxThinkingBudget: toPositiveNumber(info.maxThinkingBudget ?? info.thinkingBudget),
+    vision: typeof info.supportsImages === 'boolean' ? info.supportsImages : undefined,
+    contextWindow: toPositiveNumber(info.maxTokens ?? info.inputTokenLimit),
+    maxOutputTokens: toPositiveNumber(info.maxOutputTokens ?? info.outputTokenLimit)
+  };
+  return Object.fromEntries(Object.entries(capabilities).filter(([, value]) => value !== undefined));
+}
+
+const upstreamCapabilities = new Map();
+let overridesCache = null;
+
+// 获取模型列表 / 额度时顺带登记上游元数据
+export function registerUpstreamModels(models = {}) {
+  Object.entries(models || {}).forEach(([modelId, info]) => {
+    upstreamCapabilities.set(modelId, fromUpstreamMetadata(info));
+  });
+}
+
+function normalizeOverride(pattern, override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error(`${pattern} 的能力覆盖必须是对象`);
+  }
+  const normalized = {};
+  Object.entries(override).forEach(([field, value]) => {
+    const type = CAPABILITY_FIELDS[field];
+    if (!type) throw new Error(`${pattern} 包含未知能力字段 ${field}`);
+    if (type === 'number' && value !== null && !toPositiveNumber(value)) {
+      throw new Error(`${pattern} 的 ${field} 必须是正数或 null`);
+    }
+    if (type === 'boolean' && typeof value !== 'boolean') {
+      throw new Error(`${pattern} 的 ${field} 必须是 true / false`);
+    }
+    normalized[field] = type === 'number' && value !== null ? Number(value) : value;
+  });
+  return normalized;
+}
+
+function normalizeOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('overrides 必须是以模型名（支持 * 通配）为键的对象');
+  }
+  return Object.fromEntries(
+    Object.entries(overrides).map(([pattern, override]) => [pattern.trim(), normalizeOverride(pattern, override)])
+  );
+}
+
+export function getCapabilityOverrides() {
+  if (!overridesCache) {
+    const stored = loadDataConfig()[CONFIG_KEY];
+    try {
+      overridesCache = stored ? normalizeOverrides(stored) : {};
+    } catch (error) {
+      log.error(`data/config.json 中的 ${CONFIG_KEY} 无效，已忽略:`, error.message);
+      overridesCache = {};
+    }
+  }
+  return overridesCache;
+}
+
+export function setCapabilityOverrides(overrides) {
+  const normalized = normalizeOverrides(overrides);
+  saveDataConfig({ [CONFIG_KEY]: normalized });
+  overridesCache = normalized;
+  return normalized;
+}
+
+// 覆盖项按配置顺序依次合并，通配项写在前、具体模型写在后即可让后者优先
+export function getModelCapabilities(model) {
+  const id = String(model || '');
+  const capabilities = { ...inferCapabilities(id), ...(upstreamCapabilities.get(id) || {}) };
+  Object.entries(getCapabilityOverrides()).forEach(([pattern, override]) => {
+    if (matchesPattern(pattern, id)) Object.assign(capabilities, override);
+  });
+  return capabilities;
+}
+
+export function isKnownModel(model) {
+  return upstreamCapabilities.has(model);
+}
+
+// 拆出 -thinking-<budget> 后缀；上游没有 xxx-thinking 而有 xxx 时（如 gemini-2.5-pro）改用 xxx
+export function parseThinkingModel(model) {
+  const match = THINKING_SUFFIX_PATTERN.exec(String(model || ''));
+  if (!match) return { model, thinkingBudget: null };
+
+  const [, thinkingModel, budget] = match;
+  const baseModel = thinkingModel.slice(0, -'-thinking'.length);
+  const useBase = !isKnownModel(thinkingModel) && isKnownModel(baseModel);
+  return { model: useBase ? baseModel : thinkingModel, thinkingBudget: Number(budget) };
+}
+
+// 请求中显式指定的思维预算（OpenAI 风格参数）：thinking_budget 优先，其次 reasoning_effort；未指定返回 null
+export function getRequestedThinkingBudget(parameters = {}) {
+  if (parameters.thinking_budget != null && Number.isFinite(Number(parameters.thinking_budget))) {
+    return Number(parameters.thinking_budget);
+  }
+  const effort = String(parameters.reasoning_effort || '').toLowerCase();
+  return REASONING_EFFORT_BUDGETS[effort] ?? null;
+}
+
+// 思维预算：未指定时用默认值，超出上限时截断（负数表示由上游动态决定，原样保留）
+export function resolveThinkingBudget(capabilities, requested = null) {
+  const budget = Number.isFinite(requested) ? requested : capabilities.defaultThinkingBudget ?? DEFAULT_THINKING_BUDGET;
+  return capabilities.maxThinkingBudget ? Math.min(budget, capabilities.maxThinkingBudget) : budget;
+}
+
+// 已知模型（上游返回过的与覆盖项中的非通配模型）的最终能力
+export function listModelCapabilities() {
+  const ids = new Set([
+    ...upstreamCapabilities.keys(),
+    ...Object.keys(getCapabilityOverrides()).filter(pattern => !pattern.includes('*'))
+  ]);
+  return [...ids].sort().map(id => ({ id, ...getModelCapabilities(id) }));
+}
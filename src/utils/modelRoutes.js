@@ -0,0 +1,121 @@
+import { loadDataConfig, saveDataConfig } from '../config/dataConfig.js';
+import log from './logger.js';
+
+// 模型路由表：把客户端常用的模型名（gpt-4o、claude-3-5-sonnet-latest 等）映射到上游可识别的模型 id，
+// 可选附带参数覆盖（OpenAI 风格字段，如 temperature / max_tokens）与回退链 fallbacks（目标模型在所有账号上配额耗尽时依次改用）。
+// 保存在 data/config.json 的 MODEL_ROUTES 中，按顺序首个匹配生效；pattern 与 target 相同的路由只用于给模型配置回退链
+const CONFIG_KEY = 'MODEL_ROUTES';
+
+// config.json 中没有 MODEL_ROUTES 时使用。
+// 冷却按模型系列登记（同系列共享配额），回退链应选择其他系列的模型，同系列的后备模型会随目标一起被跳过
+export const DEFAULT_MODEL_ROUTES = [
+  { pattern: 'gpt-4o', target: 'gemini-2.5-pro' },
+  { pattern: 'gpt-4o-mini', target: 'gemini-2.5-flash' },
+  { pattern: 'claude-3-5-sonnet-latest', target: 'claude-sonnet-4-5' },
+  { pattern: 'claude-sonnet-4-20250514', target: 'claude-sonnet-4-5' },
+  { pattern: 'claude-3-*', target: 'claude-sonnet-4-5' },
+  { pattern: 'gemini-3-pro-high', target: 'gemini-3-pro-high', fallbacks: ['gemini-2.5-pro'] }
+];
+
+let routesCache = null;
+
+// 支持 * 通配，如 gemini-* 或 192.168.1.*
+export function matchesPattern(pattern, value) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(String(value || ''));
+}
+
+function isGlob(pattern) {
+  return pattern.includes('*');
+}
+
+function normalizeRoute(route, index) {
+  const pattern = String(route?.pattern ?? '').trim();
+  const target = String(route?.target ?? '').trim();
+  if (!pattern || !target) {
+    throw new Error(`第 ${index + 1} 条路由缺少 pattern 或 target`);
+  }
+
+  const params = route.params ?? {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error(`第 ${index + 1} 条路由的 params 必须是对象`);
+  }
+
+  const fallbacks = route.fallbacks ?? [];
+  if (!Array.isArray(fallbacks)) {
+    throw new Error(`第 ${index + 1} 条路由的 fallbacks 必须是数组`);
+  }
+  const fallbackModels = [...new Set(fallbacks.map(item => String(item).trim()).filter(item => item && item !== target))];
+
+  return {
+    pattern,
+    target,
+    ...(Object.keys(params).length > 0 ? { params } : {}),
+    ...(fallbackModels.length > 0 ? { fallbacks: fallbackModels } : {}),
+    ...(route.enabled === false ? { enabled: false } : {})
+  };
+}
+
+export function getModelRoutes() {
+  if (!routesCache) {
+    const stored = loadDataConfig()[CONFIG_KEY];
+    try {
+      routesCache = Array.isArray(stored) ? stored.map(normalizeRoute) : DEFAULT_MODEL_ROUTES;
+    } catch (error) {
+      log.error(`data/config.json 中的 ${CONFIG_KEY} 无效，已使用默认路由:`, error.message);
+      routesCache = DEFAULT_MODEL_ROUTES;
+    }
+  }
+  return routesCache;
+}
+
+export function setModelRoutes(routes) {
+  if (!Array.isArray(routes)) throw new Error('routes 必须是数组');
+  const normalized = routes.map(normalizeRoute);
+  saveDataConfig({ [CONFIG_KEY]: normalized });
+  routesCache = normalized;
+  return normalized;
+}
+
+export function findModelRoute(model) {
+  if (!model) return null;
+  return getModelRoutes().find(route => route.enabled !== false && matchesPattern(route.pattern, model)) || null;
+}
+
+// 返回路由后的模型、参数与回退链；未命中路由时原样返回，alias 为 null
+export function routeModelRequest(requestedModel, params = {}) {
+  const route = findModelRoute(requestedModel);
+  if (!route) return { model: requestedModel, params, alias: null, fallbacks: [] };
+
+  return {
+    model: route.target,
+    params: { ...params, ...(route.params || {}) },
+    alias: route.target === requestedModel ? null : requestedModel,
+    fallbacks: route.fallbacks || []
+  };
+}
+
+// Gemini 原生请求没有 OpenAI 风格参数，路由上的覆盖项映射到 generationConfig
+const GEMINI_PARAM_MAP = {
+  temperature: 'temperature',
+  top_p: 'topP',
+  top_k: 'topK',
+  max_tokens: 'maxOutputTokens',
+  stop: 'stopSequences'
+};
+
+export function applyGeminiRouteParams(body, params = {}) {
+  const overrides = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (GEMINI_PARAM_MAP[key]) overrides[GEMINI_PARAM_MAP[key]] = value;
+  });
+  if (Object.keys(overrides).length === 0) return body;
+  return { ...body, generationConfig: { ...(body.generationConfig || {}), ...overrides } };
+}
+
+// 非通配的路由作为别名出现在模型列表中（只配置回退链的路由不算别名）
+export function listModelAliases() {
+  return getModelRoutes()
+    .filter(route => route.enabled !== false && !isGlob(route.pattern) && route.pattern !== route.target)
+    .map(route => ({ id: route.pattern, target: route.target }));
+}
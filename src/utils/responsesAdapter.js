@@ -0,0 +1,458 @@
+import { randomUUID } from 'crypto';
+import { estimateTokensFromText } from './claudeAdapter.js';
+
+// 服务端保存的 Responses 结果，用于 previous_response_id 续接对话；
+// 每条记录归属创建它的客户端 API Key（keyName），其他密钥读取、续接或删除时视为不存在
+const RESPONSE_STORE_MAX_ITEMS = 500;
+const RESPONSE_STORE_TTL_MS = 24 * 60 * 60 * 1000;
+const responseStore = new Map();
+
+function generateItemId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '')}`;
+}
+
+export function generateResponseId() {
+  return generateItemId('resp');
+}
+
+function pruneResponseStore(now = Date.now()) {
+  for (const [id, entry] of responseStore) {
+    if (now - entry.storedAt > RESPONSE_STORE_TTL_MS) {
+      responseStore.delete(id);
+    }
+  }
+  // Map 按插入顺序迭代，超出上限时淘汰最早的记录
+  while (responseStore.size > RESPONSE_STORE_MAX_ITEMS) {
+    responseStore.delete(responseStore.keys().next().value);
+  }
+}
+
+export function storeResponse(response, messages, keyName = null) {
+  if (!response?.id) return;
+  responseStore.set(response.id, { response, messages, keyName, storedAt: Date.now() });
+  pruneResponseStore();
+}
+
+export function getStoredResponse(id, keyName = null) {
+  if (!id) return null;
+  const entry = responseStore.get(id);
+  if (!entry || entry.keyName !== keyName) return null;
+  if (Date.now() - entry.storedAt > RESPONSE_STORE_TTL_MS) {
+    responseStore.delete(id);
+    return null;
+  }
+  return entry;
+}
+
+export function deleteStoredResponse(id, keyName = null) {
+  if (!getStoredResponse(id, keyName)) return false;
+  return responseStore.delete(id);
+}
+
+// Responses 的内容块（input_text / input_image / input_file / output_text）转为 Chat Completions 多模态 part
+function mapContentPart(part) {
+  if (typeof part === 'string') return { type: 'text', text: part };
+  if (!part || typeof part !== 'object') return null;
+
+  if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+    return { type: 'text', text: part.text || '' };
+  }
+  if (part.type === 'input_image') {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    return url ? { type: 'image_url', image_url: { url } } : null;
+  }
+  if (part.type === 'input_file' && part.file_data) {
+    return { type: 'file', file: { file_data: part.file_data, filename: part.filename } };
+  }
+  if (part.type === 'refusal') {
+    return { type: 'text', text: part.refusal || '' };
+  }
+  return null;
+}
+
+function mapMessageContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const parts = content.map(mapContentPart).filter(Boolean);
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('');
+  }
+  return parts;
+}
+
+function stringifyFunctionOutput(output) {
+  if (typeof output === 'string') return output;
+  if (Array.isArray(output)) {
+    return output
+      .map(part => (part?.type === 'input_text' || part?.type === 'output_text' ? part.text || '' : ''))
+      .join('');
+  }
+  return JSON.stringify(output ?? '');
+}
+
+// 将 input（字符串或 item 数组）转为 Chat Completions messages
+export function mapResponsesInputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  if (!Array.isArray(input)) return [];
+
+  const messages = [];
+  for (const item of input) {
+    if (!item || typeof item !== 'object') continue;
+    const type = item.type || (item.role ? 'message' : null);
+
+    if (type === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role || 'user';
+      messages.push({ role, content: mapMessageContent(item.content) });
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id || item.id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      };
+      // 同一轮的 output_text 与 function_call 合并到同一条 assistant 消息
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall];
+      } else {
+        messages.push({ role: 'assistant', content: '', tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: stringifyFunctionOutput(item.output)
+      });
+    }
+    // reasoning 等其他 item 由上游思维签名缓存负责续接，这里直接跳过
+  }
+  return messages;
+}
+
+export function mapResponsesToolsToOpenAITools(tools = []) {
+  if (!Array.isArray(tools)) return [];
+  return tools
+    .filter(tool => tool?.type === 'function')
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || {}
+      }
+    }));
+}
+
+// text.format 与 Chat Completions 的 response_format 结构不同，json_schema 字段是平铺的
+function mapTextFormatToResponseFormat(format) {
+  if (!format || typeof format !== 'object') return undefined;
+  if (format.type === 'json_object') return { type: 'json_object' };
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: format.name, schema: format.schema, strict: format.strict }
+    };
+  }
+  return undefined;
+}
+
+export function mapResponsesToOpenAI(body, previous = null) {
+  if (!body || typeof body !== 'object') {
+    throw new Error('请求体格式不合法');
+  }
+  if (body.input === undefined || body.input === null) {
+    throw new Error('input 不能为空');
+  }
+
+  const inputMessages = mapResponsesInputToMessages(body.input);
+  if (inputMessages.length === 0) {
+    throw new Error('input 不能为空');
+  }
+
+  // previous_response_id 只继承对话内容，不继承上一轮的 instructions
+  const history = previous?.messages || [];
+  const messages = [
+    ...(body.instructions ? [{ role: 'system', content: body.instructions }] : []),
+    ...history,
+    ...inputMessages
+  ];
+
+  return {
+    model: body.model,
+    stream: body.stream === true,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    max_tokens: body.max_output_tokens,
+    reasoning_effort: body.reasoning?.effort,
+    response_format: mapTextFormatToResponseFormat(body.text?.format),
+    tool_choice: body.tool_choice,
+    parallel_tool_calls: body.parallel_tool_calls,
+    messages,
+    // 写入服务端存储时使用：本轮新增的对话内容（不含 instructions）
+    conversation: [...history, ...inputMessages]
+  };
+}
+
+function toResponsesUsage(usage, fallbackOutputTokens = 0) {
+  const inputTokens = usage?.prompt_tokens ?? 0;
+  const outputTokens = usage?.completion_tokens ?? fallbackOutputTokens;
+  return {
+    input_tokens: inputTokens || 0,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: outputTokens || 0,
+    output_tokens_details: { reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens ?? 0 },
+    total_tokens: usage?.total_tokens ?? (inputTokens || 0) + (outputTokens || 0)
+  };
+}
+
+// 把 Responses 输出转换回 assistant 消息，供 previous_response_id 续接
+export function responseOutputToMessages(output = []) {
+  let text = '';
+  const toolCalls = [];
+  output.forEach(item => {
+    if (item.type === 'message') {
+      text += (item.content || []).map(part => part.text || '').join('');
+    } else if (item.type === 'function_call') {
+      toolCalls.push({
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments }
+      });
+    }
+  });
+  if (!text && toolCalls.length === 0) return [];
+  const message = { role: 'assistant', content: text };
+  if (toolCalls.length > 0) message.tool_calls = toolCalls;
+  return [message];
+}
+
+/**
+ * Responses 输出构造器：按到达顺序累积 reasoning / message / function_call item，
+ * 传入 res 时同步写出 Responses 规范的 SSE 事件，否则仅用于构造非流式响应。
+ */
+export class ResponsesEmitter {
+  constructor(res, { responseId, model, request = {} } = {}) {
+    this.res = res || null;
+    this.responseId = responseId || generateResponseId();
+    this.model = model;
+    this.request = request;
+    this.createdAt = Math.floor(Date.now() / 1000);
+    this.sequenceNumber = 0;
+    this.output = [];
+    this.currentReasoning = null;
+    this.currentMessage = null;
+    this.totalOutputTokens = 0;
+    this.started = false;
+    this.finished = false;
+  }
+
+  writeEvent(type, data = {}) {
+    if (!this.res) return;
+    this.start();
+    const payload = { type, sequence_number: this.sequenceNumber++, ...data };
+    this.res.write(`event: ${type}\n`);
+    this.res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  buildResponse(status, extra = {}) {
+    return {
+      id: this.responseId,
+      object: 'response',
+      created_at: this.createdAt,
+      status,
+      error: null,
+      incomplete_details: null,
+      instructions: this.request.instructions ?? null,
+      max_output_tokens: this.request.max_output_tokens ?? null,
+      model: this.model,
+      output: this.output,
+      parallel_tool_calls: this.request.parallel_tool_calls ?? true,
+      previous_response_id: this.request.previous_response_id ?? null,
+      reasoning: this.request.reasoning ?? null,
+      store: this.request.store !== false,
+      temperature: this.request.temperature ?? null,
+      tool_choice: this.request.tool_choice ?? 'auto',
+      tools: this.request.tools ?? [],
+      top_p: this.request.top_p ?? null,
+      usage: null,
+      metadata: this.request.metadata ?? {},
+      ...extra
+    };
+  }
+
+  // 可重复调用；未显式调用时在首个事件前自动发送，调用方在此之前仍可修改 model（如回退到后备模型）
+  start() {
+    if (this.started) return;
+    this.started = true;
+    const response = this.buildResponse('in_progress');
+    this.writeEvent('response.created', { response });
+    this.writeEvent('response.in_progress', { response });
+  }
+
+  sendThinking(text) {
+    if (!text) return;
+    this.closeMessage();
+    if (!this.currentReasoning) {
+      const item = { id: generateItemId('rs'), type: 'reasoning', summary: [] };
+      this.output.push(item);
+      this.currentReasoning = { item, outputIndex: this.output.length - 1, text: '' };
+      this.writeEvent('response.output_item.added', { output_index: this.currentReasoning.outputIndex, item });
+      this.writeEvent('response.reasoning_summary_part.added', {
+        item_id: item.id,
+        output_index: this.currentReasoning.outputIndex,
+        summary_index: 0,
+        part: { type: 'summary_text', text: '' }
+      });
+    }
+    this.currentReasoning.text += text;
+    this.totalOutputTokens += estimateTokensFromText(text);
+    this.writeEvent('response.reasoning_summary_text.delta', {
+      item_id: this.currentReasoning.item.id,
+      output_index: this.currentReasoning.outputIndex,
+      summary_index: 0,
+      delta: text
+    });
+  }
+
+  closeReasoning() {
+    if (!this.currentReasoning) return;
+    const { item, outputIndex, text } = this.currentReasoning;
+    this.currentReasoning = null;
+    const part = { type: 'summary_text', text };
+    item.summary = [part];
+    this.writeEvent('response.reasoning_summary_text.done', {
+      item_id: item.id,
+      output_index: outputIndex,
+      summary_index: 0,
+      text
+    });
+    this.writeEvent('response.reasoning_summary_part.done', {
+      item_id: item.id,
+      output_index: outputIndex,
+      summary_index: 0,
+      part
+    });
+    this.writeEvent('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  sendText(text) {
+    if (!text) return;
+    this.closeReasoning();
+    if (!this.currentMessage) {
+      const item = {
+        id: generateItemId('msg'),
+        type: 'message',
+        status: 'in_progress',
+        role: 'assistant',
+        content: []
+      };
+      this.output.push(item);
+      this.currentMessage = { item, outputIndex: this.output.length - 1, text: '' };
+      this.writeEvent('response.output_item.added', { output_index: this.currentMessage.outputIndex, item });
+      this.writeEvent('response.content_part.added', {
+        item_id: item.id,
+        output_index: this.currentMessage.outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      });
+    }
+    this.currentMessage.text += text;
+    this.totalOutputTokens += estimateTokensFromText(text);
+    this.writeEvent('response.output_text.delta', {
+      item_id: this.currentMessage.item.id,
+      output_index: this.currentMessage.outputIndex,
+      content_index: 0,
+      delta: text
+    });
+  }
+
+  closeMessage() {
+    if (!this.currentMessage) return;
+    const { item, outputIndex, text } = this.currentMessage;
+    this.currentMessage = null;
+    const part = { type: 'output_text', text, annotations: [] };
+    item.content = [part];
+    item.status = 'completed';
+    this.writeEvent('response.output_text.done', {
+      item_id: item.id,
+      output_index: outputIndex,
+      content_index: 0,
+      text
+    });
+    this.writeEvent('response.content_part.done', {
+      item_id: item.id,
+      output_index: outputIndex,
+      content_index: 0,
+      part
+    });
+    this.writeEvent('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  sendToolCalls(toolCalls = []) {
+    if (!toolCalls || toolCalls.length === 0) return;
+    this.closeReasoning();
+    this.closeMessage();
+
+    toolCalls.forEach(call => {
+      const args = call?.function?.arguments ?? '{}';
+      const argumentsJson = typeof args === 'string' ? args : JSON.stringify(args);
+      const item = {
+        id: generateItemId('fc'),
+        type: 'function_call',
+        status: 'in_progress',
+        call_id: call.id,
+        name: call?.function?.name || 'tool',
+        arguments: ''
+      };
+      this.output.push(item);
+      const outputIndex = this.output.length - 1;
+      this.totalOutputTokens += estimateTokensFromText(argumentsJson);
+
+      this.writeEvent('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+      this.writeEvent('response.function_call_arguments.delta', {
+        item_id: item.id,
+        output_index: outputIndex,
+        delta: argumentsJson
+      });
+      item.arguments = argumentsJson;
+      item.status = 'completed';
+      this.writeEvent('response.function_call_arguments.done', {
+        item_id: item.id,
+        output_index: outputIndex,
+        arguments: argumentsJson
+      });
+      this.writeEvent('response.output_item.done', { output_index: outputIndex, item });
+    });
+  }
+
+  // 返回最终的 response 对象；finishReason 为 MAX_TOKENS 时标记为 incomplete
+  finish(usage, finishReason) {
+    if (this.finished) return this.finalResponse;
+    this.finished = true;
+    this.closeReasoning();
+    this.closeMessage();
+
+    const incomplete = String(finishReason || '').toUpperCase() === 'MAX_TOKENS';
+    const response = this.buildResponse(incomplete ? 'incomplete' : 'completed', {
+      incomplete_details: incomplete ? { reason: 'max_output_tokens' } : null,
+      usage: toResponsesUsage(usage, this.totalOutputTokens)
+    });
+    this.finalResponse = response;
+
+    this.writeEvent(incomplete ? 'response.incomplete' : 'response.completed', { response });
+    return response;
+  }
+
+  fail(message) {
+    if (this.finished) return this.finalResponse;
+    this.finished = true;
+    const response = this.buildResponse('failed', {
+      error: { code: 'server_error', message }
+    });
+    this.finalResponse = response;
+    this.writeEvent('response.failed', { response });
+    return response;
+  }
+}
@@ -0,0 +1,155 @@
+// 结构化输出（response_format）的结果校验：只覆盖常用的 JSON Schema 子集，
+// 与 cleanJsonSchema 传给上游的字段保持一致，另外识别 additionalProperties: false
+
+const MAX_REPORTED_ERRORS = 5;
+
+export function isStructuredOutputRequested(responseFormat) {
+  const type = responseFormat?.type;
+  return type === 'json_object' || type === 'json_schema';
+}
+
+// 思维链会以 <think> 前缀拼在正文里，校验前需要拆开
+export function splitThinkingFromContent(content) {
+  if (typeof content !== 'string') return { content, thinking: null };
+  const match = /^<think>\n?([\s\S]*?)\n?<\/think>\n?/.exec(content);
+  if (!match) return { content, thinking: null };
+  return { content: content.slice(match[0].length), thinking: match[1] };
+}
+
+// 部分模型即使设置了 responseMimeType 仍会包一层 ```json 代码块
+function stripCodeFence(text) {
+  const match = /^\s*```(?:json)?\s*\n([\s\S]*?)\n?```\s*$/i.exec(text);
+  return match ? match[1] : text;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function validateNode(value, schema, pointer, errors) {
+  if (!schema || typeof schema !== 'object' || errors.length >= MAX_REPORTED_ERRORS) return;
+
+  const unionKey = ['anyOf', 'oneOf'].find(key => Array.isArray(schema[key]));
+  if (unionKey) {
+    const matched = schema[unionKey].some(option => {
+      const optionErrors = [];
+      validateNode(value, option, pointer, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) errors.push(`${pointer}: 不匹配 ${unionKey} 中的任何一种结构`);
+    return;
+  }
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(option => validateNode(value, option, pointer, errors));
+  }
+
+  if (value === null && schema.nullable === true) return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${pointer}: 期望类型 ${types.join('|')}，实际为 ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${pointer}: 必须等于 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${pointer}: 取值必须属于 ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${pointer}: 不能小于 ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push(`${pointer}: 不能大于 ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${pointer}: 至少需要 ${schema.minItems} 项`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${pointer}: 最多允许 ${schema.maxItems} 项`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => validateNode(item, schema.items, `${pointer}/${index}`, errors));
+    }
+    return;
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    (Array.isArray(schema.required) ? schema.required : []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${pointer}: 缺少必填字段 "${key}"`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${pointer}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}: 不允许出现额外字段 "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, `${pointer}/${key}`, errors);
+      }
+    });
+  }
+}
+
+/**
+ * 校验模型输出是否满足 response_format
+ * @returns {{ ok: boolean, content: string, value?: any, error?: string }}
+ */
+export function validateStructuredOutput(content, responseFormat) {
+  const text = stripCodeFence(typeof content === 'string' ? content : '');
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, content: text, error: `模型输出不是合法 JSON: ${e.message}` };
+  }
+
+  if (responseFormat?.type === 'json_object' && !matchesType(value, 'object')) {
+    return { ok: false, content: text, error: '模型输出不是 JSON 对象' };
+  }
+
+  const schema = responseFormat?.type === 'json_schema' ? responseFormat.json_schema?.schema : null;
+  if (schema) {
+    const errors = [];
+    validateNode(value, schema, '#', errors);
+    if (errors.length > 0) {
+      const name = responseFormat.json_schema?.name ? ` "${responseFormat.json_schema.name}"` : '';
+      return {
+        ok: false,
+        content: text,
+        error: `模型输出不符合 JSON Schema${name}: ${errors.join('; ')}`
+      };
+    }
+  }
+
+  return { ok: true, content: text, value };
+}
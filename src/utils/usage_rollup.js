@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import log from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 用量汇总：按小时 / 按天、分模型 / 账号 / 客户端 API Key 累计请求数与 token，单独保存，
+// 不随调用日志的条数上限、保留天数或手动清空而丢失
+const LOG_FILE = config.logging.requestLogFile
+  ? path.resolve(config.logging.requestLogFile)
+  : path.join(__dirname, '..', '..', 'data', 'request_logs.json');
+const ROLLUP_FILE = path.join(path.dirname(LOG_FILE), 'usage_rollups.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_RETENTION_MS = 14 * DAY_MS;
+const DAILY_RETENTION_MS = 400 * DAY_MS;
+const FLUSH_DELAY_MS = 5000;
+
+export const ROLLUP_GRANULARITIES = ['hour', 'day'];
+export const ROLLUP_DIMENSIONS = ['model', 'projectId', 'keyName'];
+
+const FALLBACK_LABELS = { model: '未指定模型', projectId: '未知项目', keyName: '未知密钥' };
+const TOKEN_FIELDS = ['promptTokens', 'completionTokens', 'reasoningTokens', 'totalTokens'];
+
+const state = {
+  loaded: false,
+  existed: false, // 启动时汇总文件是否已存在，不存在时由调用日志回填
+  hour: {}, // 小时起点 ISO 时间 -> { model: { 名称: 统计 }, projectId: {...}, keyName: {...} }
+  day: {}, // 本地日期 YYYY-MM-DD -> 同上
+  flushTimer: null
+};
+
+const emptyStats = () => ({
+  requests: 0,
+  success: 0,
+  failed: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  reasoningTokens: 0,
+  totalTokens: 0
+});
+
+function addStats(target, source) {
+  Object.keys(target).forEach(field => {
+    target[field] += Number(source[field]) || 0;
+  });
+  return target;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 小时桶用 UTC 整点（与时区无关），天桶按服务器本地日期，与 API Key 每日预算的计算口径一致
+function hourStart(timestamp) {
+  return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+}
+
+function dayStart(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function bucketKey(granularity, timestamp) {
+  if (granularity === 'hour') return new Date(hourStart(timestamp)).toISOString();
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function bucketTime(granularity, key) {
+  if (granularity === 'hour') return Date.parse(key);
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+function nextBucket(granularity, timestamp) {
+  if (granularity === 'hour') return timestamp + HOUR_MS;
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+function load() {
+  if (state.loaded) return;
+  state.loaded = true;
+  try {
+    if (!fs.existsSync(ROLLUP_FILE)) return;
+    state.existed = true;
+    const data = JSON.parse(fs.readFileSync(ROLLUP_FILE, 'utf-8') || '{}');
+    state.hour = data.hour && typeof data.hour === 'object' ? data.hour : {};
+    state.day = data.day && typeof data.day === 'object' ? data.day : {};
+  } catch (error) {
+    log.warn('读取用量汇总失败，将重新开始统计:', error.message);
+  }
+}
+
+function trimBuckets(now = Date.now()) {
+  [['hour', HOURLY_RETENTION_MS], ['day', DAILY_RETENTION_MS]].forEach(([granularity, retentionMs]) => {
+    Object.keys(state[granularity]).forEach(key => {
+      if (bucketTime(granularity, key) < now - retentionMs) delete state[granularity][key];
+    });
+  });
+}
+
+// 先写临时文件再改名，避免写到一半崩溃留下残缺文件
+export function flushUsageRollups() {
+  if (state.flushTimer) {
+    clearTimeout(state.flushTimer);
+    state.flushTimer = null;
+  }
+  if (!state.loaded) return;
+  try {
+    trimBuckets();
+    fs.mkdirSync(path.dirname(ROLLUP_FILE), { recursive: true });
+    fs.writeFileSync(`${ROLLUP_FILE}.tmp`, JSON.stringify({ version: 1, hour: state.hour, day: state.day }), 'utf-8');
+    fs.renameSync(`${ROLLUP_FILE}.tmp`, ROLLUP_FILE);
+    state.existed = true;
+  } catch (error) {
+    log.warn('保存用量汇总失败:', error.message);
+  }
+}
+
+// 高频请求下合并写盘
+function scheduleFlush() {
+  if (state.flushTimer) return;
+  state.flushTimer = setTimeout(flushUsageRollups, FLUSH_DELAY_MS);
+  state.flushTimer.unref?.();
+}
+
+function applyEntry(entry) {
+  const timestamp = Date.parse(entry?.timestamp || '');
+  if (Number.isNaN(timestamp)) return false;
+
+  const delta = {
+    ...emptyStats(),
+    requests: 1,
+    success: entry.success === false ? 0 : 1,
+    failed: entry.success === false ? 1 : 0,
+    ...Object.fromEntries(TOKEN_FIELDS.map(field => [field, Number(entry[field]) || 0]))
+  };
+
+  ROLLUP_GRANULARITIES.forEach(granularity => {
+    const key = bucketKey(granularity, timestamp);
+    const bucket = state[granularity][key] || (state[granularity][key] = {});
+    ROLLUP_DIMENSIONS.forEach(dimension => {
+      const groups = bucket[dimension] || (bucket[dimension] = {});
+      const label = entry[dimension] || FALLBACK_LABELS[dimension];
+      addStats(groups[label] || (groups[label] = emptyStats()), delta);
+    });
+  });
+  return true;
+}
+
+// 每条计入用量的调用（包括日志级别过滤后仅统计用量的条目）累加一次
+export function recordUsageRollup(entry) {
+  load();
+  if (applyEntry(entry)) scheduleFlush();
+}
+
+// 首次启用汇总时用现存的调用日志回填，之后以汇总文件为准
+export function backfillUsageRollups(entries = []) {
+  load();
+  if (state.existed) return;
+  const count = entries.filter(applyEntry).length;
+  if (count > 0) log.info(`已根据 ${count} 条调用日志回填用量汇总`);
+  flushUsageRollups();
+}
+
+// 查询趋势：按 granularity 切分 [from, to] 区间（空桶补零），groupBy 决定每个桶内的分组维度；
+// 默认区间为最近 24 小时（hour）或最近 30 天（day），区间限制在保留期内且不晚于当前时间
+export function getUsageRollups({ granularity = 'day', groupBy = 'model', from = null, to = null } = {}) {
+  load();
+  const now = Date.now();
+  const retentionMs = granularity === 'hour' ? HOURLY_RETENTION_MS : DAILY_RETENTION_MS;
+  const end = Math.min(to ?? now, now);
+  const defaultSpan = granularity === 'hour' ? 23 * HOUR_MS : 29 * DAY_MS;
+  const start = Math.max(from ?? end - defaultSpan, now - retentionMs);
+  const startBucket = granularity === 'hour' ? hourStart(start) : dayStart(start);
+
+  const totals = emptyStats();
+  const groupTotals = {};
+  const buckets = [];
+
+  for (let time = startBucket; time <= end; time = nextBucket(granularity, time)) {
+    const key = bucketKey(granularity, time);
+    const source = state[granularity][key]?.[groupBy] || {};
+    const bucketTotals = emptyStats();
+    const groups = {};
+    Object.entries(source).forEach(([label, stats]) => {
+      groups[label] = { ...stats };
+      addStats(bucketTotals, stats);
+      addStats(groupTotals[label] || (groupTotals[label] = emptyStats()), stats);
+    });
+    addStats(totals, bucketTotals);
+    buckets.push({ bucket: key, timestamp: new Date(time).toISOString(), ...bucketTotals, groups });
+  }
+
+  const groups = Object.entries(groupTotals)
+    .map(([key, stats]) => ({ key, ...stats }))
+    .sort((a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests);
+
+  return {
+    granularity,
+    groupBy,
+    from: new Date(startBucket).toISOString(),
+    to: new Date(end).toISOString(),
+    totals,
+    groups,
+    buckets
+  };
+}
@@ -1,7 +1,14 @@
 import config from '../config/config.js';
 import tokenManager from '../auth/token_manager.js';
 import { generateRequestId } from './idGenerator.js';
+import {
+  getModelCapabilities,
+  getRequestedThinkingBudget,
+  parseThinkingModel,
+  resolveThinkingBudget
+} from './modelCapabilities.js';
 import os from 'os';
+import log from './logger.js';
 
 // 全局思维签名缓存：用于记录 Gemini 返回的 thoughtSignature（工具调用与文本），
 // 并在后续请求中复用，避免后端报缺失错误。
@@ -58,6 +65,28 @@ function getTextThoughtSignature(text) {
   return textThoughtSignatureMap.get(normalized);
 }
 
+// 将 data URL 转为 Gemini inlineData part。上游不会拉取任意 http(s) 地址（fileData 仅支持其自有存储的文件），
+// 因此远程 URL 不做转发，记录警告后丢弃；客户端需自行以 base64 data URL 方式内联图片或文档
+function mediaUrlToPart(url) {
+  if (typeof url !== 'string' || !url) return null;
+
+  // 匹配 data:{mime};base64,{data} 格式，非图片类型（如 application/pdf）同样透传
+  const match = url.match(/^data:([\w.+-]+\/[\w.+-]+);base64,(.+)$/);
+  if (match) {
+    return {
+      inlineData: {
+        mimeType: match[1],
+        data: match[2]
+      }
+    };
+  }
+
+  // 只记录协议和主机，避免签名 URL 的查询参数写入日志
+  const source = /^https?:\/\//i.test(url) ? url.split(/[/?#]/).slice(0, 3).join('/') : url.slice(0, 30);
+  log.warn(`已忽略不支持的媒体地址（仅支持 base64 data URL）: ${source}`);
+  return null;
+}
+
 function extractImagesFromContent(content) {
   const result = { text: '', images: [] };
 
@@ -73,21 +102,12 @@ function extractImagesFromContent(content) {
       if (item.type === 'text') {
         result.text += item.text;
       } else if (item.type === 'image_url') {
-        // 提取base64图片数据
-        const imageUrl = item.image_url?.url || '';
-
-        // 匹配 data:image/{format};base64,{data} 格式
-        const match = imageUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-        if (match) {
-          const format = match[1]; // 例如 png, jpeg, jpg
-          const base64Data = match[2];
-          result.images.push({
-            inlineData: {
-              mimeType: `image/${format}`,
-              data: base64Data
-            }
-          })
-        }
+        const part = mediaUrlToPart(item.image_url?.url);
+        if (part) result.images.push(part);
+      } else if (item.type === 'file') {
+        // OpenAI 文件 part：file_data 为 data URL（PDF 等文档）
+        const part = mediaUrlToPart(item.file?.file_data);
+        if (part) result.images.push(part);
       }
     }
   }
@@ -95,6 +115,13 @@ function extractImagesFromContent(content) {
   return result;
 }
 function handleUserMessage(extracted, antigravityMessages) {
+  const lastMessage = antigravityMessages[antigravityMessages.length - 1];
+  // 工具结果之后紧跟的用户文本合并到同一条 user 消息，避免出现连续的 user 角色
+  if (lastMessage?.role === "user" && lastMessage.parts.some(p => p.functionResponse)) {
+    if (extracted.text) lastMessage.parts.push({ text: extracted.text });
+    lastMessage.parts.push(...extracted.images);
+    return;
+  }
   antigravityMessages.push({
     role: "user",
     parts: [
@@ -169,30 +196,73 @@ function openaiMessageToAntigravity(openaiMessages, modelName) {
 
   return antigravityMessages;
 }
-function generateGenerationConfig(parameters, enableThinking, actualModelName) {
+const DEFAULT_STOP_SEQUENCES = [
+  "<|user|>",
+  "<|bot|>",
+  "<|context_request|>",
+  "<|endoftext|>",
+  "<|end_of_turn|>"
+];
+// 上游最多接受 5 个停止序列：客户端的 stop_sequences（Claude）优先，剩余名额留给默认序列；
+// 超出部分仍由 claudeAdapter 在本地截断兜底
+const MAX_STOP_SEQUENCES = 5;
+
+function buildStopSequences(stopSequences) {
+  const requested = Array.isArray(stopSequences)
+    ? stopSequences.filter(seq => typeof seq === 'string' && seq.length > 0)
+    : [];
+  return [...new Set([...requested, ...DEFAULT_STOP_SEQUENCES])].slice(0, MAX_STOP_SEQUENCES);
+}
+
+// requestedBudget：请求指定的思维预算（reasoning_effort / budget_tokens / 模型名后缀），为空时用模型默认值
+function generateGenerationConfig(parameters, enableThinking, capabilities, requestedBudget = null) {
+  const thinkingBudget = enableThinking ? resolveThinkingBudget(capabilities, requestedBudget) : 0;
+  let maxOutputTokens = parameters.max_tokens ?? config.defaults.max_tokens;
+  // 未显式指定 max_tokens 时为思维预算留出空间（Claude 要求输出上限大于思维预算）
+  if (parameters.max_tokens == null && thinkingBudget >= maxOutputTokens) {
+    maxOutputTokens = thinkingBudget + config.defaults.max_tokens;
+  }
   const generationConfig = {
     topP: parameters.top_p ?? config.defaults.top_p,
     topK: parameters.top_k ?? config.defaults.top_k,
     temperature: parameters.temperature ?? config.defaults.temperature,
     candidateCount: 1,
-    maxOutputTokens: parameters.max_tokens ?? config.defaults.max_tokens,
-    stopSequences: [
-      "<|user|>",
-      "<|bot|>",
-      "<|context_request|>",
-      "<|endoftext|>",
-      "<|end_of_turn|>"
-    ],
+    maxOutputTokens: capabilities.maxOutputTokens ? Math.min(maxOutputTokens, capabilities.maxOutputTokens) : maxOutputTokens,
+    stopSequences: buildStopSequences(parameters.stop_sequences),
     thinkingConfig: {
       includeThoughts: enableThinking,
-      thinkingBudget: enableThinking ? 1024 : 0
+      thinkingBudget
     }
   }
-  if (enableThinking && actualModelName.includes("claude")) {
+  if (enableThinking && !capabilities.topPWithThinking) {
     delete generationConfig.topP;
   }
+  Object.assign(generationConfig, buildResponseFormatConfig(parameters.response_format));
   return generationConfig
 }
+
+/**
+ * 将 OpenAI response_format 映射为 Gemini 结构化输出配置
+ * - json_object -> responseMimeType
+ * - json_schema -> responseMimeType + 清理后的 responseSchema
+ */
+function buildResponseFormatConfig(responseFormat) {
+  const type = responseFormat?.type;
+  if (type === 'json_object') {
+    return { responseMimeType: 'application/json' };
+  }
+  if (type === 'json_schema') {
+    const schema = responseFormat.json_schema?.schema;
+    if (!schema || typeof schema !== 'object') {
+      return { responseMimeType: 'application/json' };
+    }
+    return {
+      responseMimeType: 'application/json',
+      responseSchema: cleanJsonSchema(schema)
+    };
+  }
+  return {};
+}
 function convertOpenAIToolsToAntigravity(openaiTools) {
   if (!openaiTools || openaiTools.length === 0) return [];
 
@@ -220,6 +290,29 @@ function convertOpenAIToolsToAntigravity(openaiTools) {
   });
 }
 
+/**
+ * 将 tool_choice 映射为 Gemini functionCallingConfig，同时兼容两种写法：
+ * - OpenAI: "none" | "auto" | "required" | { type: "function", function: { name } }
+ * - Claude: { type: "none" | "auto" | "any" } | { type: "tool", name }
+ * Responses API 的 { type: "function", name } 也在此处理
+ */
+function buildToolConfig(toolChoice) {
+  const functionCallingConfig = { mode: "VALIDATED" };
+  const type = typeof toolChoice === 'string' ? toolChoice : toolChoice?.type;
+  const name = toolChoice?.function?.name || toolChoice?.name;
+
+  if (type === 'none') {
+    functionCallingConfig.mode = "NONE";
+  } else if (type === 'required' || type === 'any') {
+    functionCallingConfig.mode = "ANY";
+  } else if ((type === 'function' || type === 'tool') && name) {
+    functionCallingConfig.mode = "ANY";
+    functionCallingConfig.allowedFunctionNames = [name];
+  }
+
+  return { functionCallingConfig };
+}
+
 /**
  * 清理函数名称，确保符合 Gemini API 要求
  * - 只允许字母、数字、下划线
@@ -558,7 +651,9 @@ function mapUnknownType(type) {
  * 修复了系统指令合并逻辑，确保 VS Code Copilot 的行为定义不丢失
  */
 function generateRequestBody(openaiMessages, modelName, parameters, openaiTools, token) {
-  const actualModelName = modelName;
+  // 模型名可带 -thinking-<budget> 后缀指定思维预算，请求参数中的预算优先
+  const { model: actualModelName, thinkingBudget: suffixBudget } = parseThinkingModel(modelName);
+  const requestedBudget = getRequestedThinkingBudget(parameters) ?? suffixBudget;
 
   // 1. 提取并合并系统指令
   // VS Code 会在 system 消息中定义智能体的行为，必须优先提取
@@ -594,24 +689,20 @@ function generateRequestBody(openaiMessages, modelName, parameters, openaiTools,
         msg.tool_calls.length > 0
     );
 
-  // 4. 思维链 (Thinking) 启用逻辑
-  const baseEnableThinking =
-    modelName.endsWith('-thinking') ||
-    modelName === 'gemini-2.5-pro' ||
-    modelName.startsWith('gemini-3-pro-') ||
-    modelName === "rev19-uic3-1p" ||
-    modelName === "gpt-oss-120b-medium";
+  // 4. 思维链 (Thinking) 启用逻辑：按模型能力登记表判断
+  const capabilities = getModelCapabilities(actualModelName);
 
-  // 为避免 Anthropic thinking + tools 冲突，当使用 Claude 系列且已有工具调用时关闭 thinking
+  // 为避免 Anthropic thinking + tools 冲突，不支持的模型在已有工具调用时关闭 thinking；预算为 0 表示显式关闭
   const enableThinking =
-    baseEnableThinking &&
-    !(actualModelName.includes('claude') && hasAssistantToolCalls);
+    capabilities.thinking &&
+    requestedBudget !== 0 &&
+    !(!capabilities.thinkingWithToolHistory && hasAssistantToolCalls);
 
   // 5. 将 OpenAI 风格消息转换为 Gemini contents
   const contents = openaiMessageToAntigravity(conversationMessages, actualModelName);
 
-  // 6. 对 Claude 系列模型剔除不支持的 thoughtSignature
-  if (actualModelName.includes('claude')) {
+  // 6. 对不接受 thoughtSignature 的模型（Claude 系列）剔除签名
+  if (!capabilities.thoughtSignatures) {
     for (const msg of contents) {
       if (!msg?.parts) continue;
       for (const part of msg.parts) {
@@ -623,7 +714,7 @@ function generateRequestBody(openaiMessages, modelName, parameters, openaiTools,
   }
 
   // 7. 构造最终请求体
-  return {
+  const requestBody = {
     project: token.projectId,
     requestId: generateRequestId(),
     request: {
@@ -632,18 +723,31 @@ function generateRequestBody(openaiMessages, modelName, parameters, openaiTools,
         role: "user", // 适配 Google 内部接口的 systemInstruction 格式
         parts: [{ text: finalSystemInstruction || "You are a helpful assistant." }]
       },
-      tools: convertOpenAIToolsToAntigravity(openaiTools),
-      toolConfig: {
-        functionCallingConfig: {
-          mode: "VALIDATED"
-        }
-      },
-      generationConfig: generateGenerationConfig(parameters, enableThinking, actualModelName),
+      tools: capabilities.tools ? convertOpenAIToolsToAntigravity(openaiTools) : undefined,
+      toolConfig: capabilities.tools ? buildToolConfig(parameters.tool_choice) : undefined,
+      generationConfig: generateGenerationConfig(parameters, enableThinking, capabilities, requestedBudget),
       sessionId: token.sessionId
     },
     model: actualModelName,
     userAgent: "antigravity"
   };
+
+  // 8. 生图模型：配置思维链和响应模态，使 gemini-3-pro-image 能返回思维内容
+  if (capabilities.imageOutput) {
+    requestBody.request.generationConfig = {
+      candidateCount: 1,
+      responseModalities: ["TEXT", "IMAGE"],
+      thinkingConfig: {
+        includeThoughts: true,
+        thinkingBudget: resolveThinkingBudget(capabilities, requestedBudget)
+      }
+    };
+    requestBody.requestType = 'image_gen';
+    requestBody.request.systemInstruction.parts[0].text +=
+      '（当前作为图像生成模型使用，请根据描述生成图片）';
+  }
+
+  return requestBody;
 }
 function getDefaultIp() {
   const interfaces = os.networkInterfaces();
@@ -666,16 +770,14 @@ function getDefaultIp() {
 // 将 Gemini 原生 GenerateContentRequest 直接包装为 AntigravityRequester 所需的请求体
 // 这样可以对外暴露 Gemini 规范，而内部仍复用同一套后端调用链
 function generateRequestBodyFromGemini(geminiRequest, modelName, token) {
-  const actualModelName = modelName;
+  // 思维预算：generationConfig.thinkingConfig.thinkingBudget 优先，其次模型名的 -thinking-<budget> 后缀
+  const { model: actualModelName, thinkingBudget: suffixBudget } = parseThinkingModel(modelName);
+  const clientThinkingBudget = geminiRequest?.generationConfig?.thinkingConfig?.thinkingBudget;
+  const requestedBudget = Number.isFinite(clientThinkingBudget) ? clientThinkingBudget : suffixBudget;
 
-  // 是否启用思维链，沿用现有逻辑，避免行为不一致
-  const baseEnableThinking =
-    actualModelName.endsWith('-thinking') ||
-    actualModelName === 'gemini-2.5-pro' ||
-    actualModelName.startsWith('gemini-3-pro-') ||
-    actualModelName === 'rev19-uic3-1p' ||
-    actualModelName === 'gpt-oss-120b-medium';
-  const enableThinking = baseEnableThinking && !actualModelName.includes('claude');
+  // 是否启用思维链：原生请求不检查历史工具调用，不支持思维链与工具历史共存的模型直接关闭
+  const capabilities = getModelCapabilities(actualModelName);
+  const enableThinking = capabilities.thinking && capabilities.thinkingWithToolHistory && requestedBudget !== 0;
 
   const contents = Array.isArray(geminiRequest?.contents) ? geminiRequest.contents : [];
 
@@ -690,12 +792,12 @@ function generateRequestBodyFromGemini(geminiRequest, modelName, token) {
   const request = {
     contents,
     systemInstruction,
-    tools: Array.isArray(geminiRequest?.tools) ? geminiRequest.tools : undefined,
-    toolConfig: geminiRequest?.toolConfig,
+    tools: capabilities.tools && Array.isArray(geminiRequest?.tools) ? geminiRequest.tools : undefined,
+    toolConfig: capabilities.tools ? geminiRequest?.toolConfig : undefined,
     safetySettings: geminiRequest?.safetySettings,
-    generationConfig:
-      geminiRequest?.generationConfig ||
-      generateGenerationConfig({}, enableThinking, actualModelName),
+    generationConfig: geminiRequest?.generationConfig
+      ? applyGeminiThinkingBudget(geminiRequest.generationConfig, capabilities, requestedBudget)
+      : generateGenerationConfig({}, enableThinking, capabilities, requestedBudget),
     sessionId: token.sessionId
   };
 
@@ -708,12 +810,26 @@ function generateRequestBodyFromGemini(geminiRequest, modelName, token) {
   };
 }
 
+// 客户端自带 generationConfig 时原样透传，只把思维预算按模型上限截断（或补上后缀指定的预算）
+function applyGeminiThinkingBudget(generationConfig, capabilities, requestedBudget) {
+  if (requestedBudget === null || !capabilities.thinking) return generationConfig;
+  const thinkingConfig = generationConfig.thinkingConfig || {};
+  return {
+    ...generationConfig,
+    thinkingConfig: {
+      ...thinkingConfig,
+      includeThoughts: thinkingConfig.includeThoughts ?? requestedBudget !== 0,
+      thinkingBudget: requestedBudget === 0 ? 0 : resolveThinkingBudget(capabilities, requestedBudget)
+    }
+  };
+}
+
 // 覆盖上方的 handleAssistantMessage 实现：
 // 当找不到 Gemini 思维签名时，降级为普通文本发送，而不是直接丢弃该 assistant 文本，避免导致请求 400。
 function handleAssistantMessage(message, antigravityMessages, modelName) {
   const lastMessage = antigravityMessages[antigravityMessages.length - 1];
   const hasToolCalls = message.tool_calls && message.tool_calls.length > 0;
-  const allowThoughtSignature = typeof modelName === 'string' && modelName.includes('gemini-3');
+  const allowThoughtSignature = getModelCapabilities(modelName).textThoughtSignatures;
 
   // 统一提取 assistant 的纯文本内容
   let contentText = '';
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvHeader, toCsvRow, toJsonlLine, harPrefix, HAR_SUFFIX, toHarEntry } from '../src/utils/logExport.js';
+
+// 以固定 id 构造一行 CSV，其余字段由各用例指定（列顺序：id, timestamp, method, path, model, projectId, keyName, status, success, ...）
+const csvRowFor = fields => toCsvRow({ id: 'log-1', ...fields });
+
+test('CSV 表头带 BOM，行以 CRLF 结尾', () => {
+  assert.ok(csvHeader().startsWith('\uFEFFid,timestamp,method,path,'));
+  assert.ok(csvHeader().endsWith('\r\n'));
+  assert.ok(csvRowFor({}).endsWith('\r\n'));
+});
+
+test('CSV 对逗号、双引号与换行加引号转义', () => {
+  const row = csvRowFor({ message: 'a,"b"\nc' });
+  assert.ok(row.endsWith(',"a,""b""\nc"\r\n'));
+  assert.equal(csvRowFor({ path: '/v1/chat/completions' }).split(',')[3], '/v1/chat/completions');
+});
+
+test('CSV 对公式开头的值加单引号前缀，空值输出为空', () => {
+  assert.ok(csvRowFor({ message: '=HYPERLINK("x")' }).endsWith(`,"'=HYPERLINK(""x"")"\r\n`));
+  assert.ok(csvRowFor({ message: '+1' }).endsWith(",'+1\r\n"));
+  assert.ok(csvRowFor({ message: '-1' }).endsWith(",'-1\r\n"));
+  assert.ok(csvRowFor({ message: '@cmd' }).endsWith(",'@cmd\r\n"));
+  assert.equal(csvRowFor({ success: false, status: null }).split(',')[8], 'false');
+  assert.equal(csvRowFor({ status: null }).split(',')[7], '');
+});
+
+test('JSONL 去掉内部的 detailRef / detailSize，按需附带详情', () => {
+  const entry = { id: 'log-1', message: 'line\nbreak', detailRef: 'log-1.json', detailSize: 12 };
+  assert.deepEqual(JSON.parse(toJsonlLine(entry)), { id: 'log-1', message: 'line\nbreak' });
+  assert.deepEqual(JSON.parse(toJsonlLine(entry, { request: null })), {
+    id: 'log-1',
+    message: 'line\nbreak',
+    detail: { request: null }
+  });
+  assert.equal(toJsonlLine(entry).split('\n').length, 2);
+});
+
+test('HAR 条目拼成合法 JSON，保留查询参数与请求体', () => {
+  const entry = {
+    id: 'log-1',
+    timestamp: '2026-10-18T00:00:00.000Z',
+    method: 'POST',
+    path: '/v1beta/models/gemini-2.5-pro:generateContent?alt=sse',
+    status: 200,
+    success: true,
+    durationMs: 120
+  };
+  const detail = {
+    request: { method: 'POST', path: entry.path, headers: { host: 'proxy.local:8045' }, body: { text: '"quoted"\n' } },
+    response: { status: 200, headers: { 'content-type': ['text/event-stream'] }, body: 'data: {}\n\n' }
+  };
+  const har = JSON.parse(`${harPrefix()}${JSON.stringify(toHarEntry(entry, detail))}${HAR_SUFFIX}`);
+  const [harEntry] = har.log.entries;
+  assert.equal(har.log.version, '1.2');
+  assert.equal(harEntry.request.url, 'http://proxy.local:8045/v1beta/models/gemini-2.5-pro:generateContent?alt=sse');
+  assert.deepEqual(harEntry.request.queryString, [{ name: 'alt', value: 'sse' }]);
+  assert.deepEqual(JSON.parse(harEntry.request.postData.text), { text: '"quoted"\n' });
+  assert.deepEqual(harEntry.response.headers, [{ name: 'content-type', value: 'text/event-stream' }]);
+  assert.equal(harEntry.response.content.text, 'data: {}\n\n');
+  assert.equal(harEntry._log.id, 'log-1');
+});
+
+test('HAR 中无法组成 URL 的 host 退回 localhost，不抛错', () => {
+  const detail = { request: { path: '/v1/chat/completions?a=1', headers: { host: 'bad host:%%' } } };
+  const harEntry = toHarEntry({ id: 'log-2', path: '/v1/chat/completions' }, detail);
+  assert.equal(harEntry.request.url, 'http://localhost/v1/chat/completions?a=1');
+  assert.equal(harEntry.response.content.size, 0);
+});
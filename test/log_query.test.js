@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 配置在导入时读取，需先指向临时目录再加载 log_store
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-query-'));
+process.env.REQUEST_LOG_FILE = path.join(dir, 'request_logs.json');
+process.env.REQUEST_LOG_MAX_ITEMS = '100';
+process.env.REQUEST_LOG_LEVEL = 'all';
+
+const { appendLog, queryLogs } = await import('../src/utils/log_store.js');
+
+// 10 条日志，每秒一条：偶数序号成功，奇数序号失败（500）
+const start = Date.now() - 60 * 1000;
+for (let index = 0; index < 10; index += 1) {
+  appendLog({
+    timestamp: new Date(start + index * 1000).toISOString(),
+    model: index < 5 ? 'gemini-2.5-pro' : 'claude-sonnet-4-5',
+    projectId: 'proj-a',
+    success: index % 2 === 0,
+    status: index % 2 === 0 ? 200 : 500,
+    durationMs: 100,
+    totalTokens: 10,
+    message: `entry-${index}`
+  });
+}
+
+const collectPages = (filters, limit) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = queryLogs(filters, { limit, cursor });
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+};
+
+const messagesOf = pages => pages.flatMap(page => page.logs.map(entry => entry.message));
+
+test('按游标翻页：时间倒序、不重复不遗漏，最后一页没有游标', () => {
+  const pages = collectPages({}, 3);
+  assert.deepEqual(pages.map(page => page.logs.length), [3, 3, 3, 1]);
+  assert.deepEqual(messagesOf(pages), [9, 8, 7, 6, 5, 4, 3, 2, 1, 0].map(index => `entry-${index}`));
+  assert.equal(pages[pages.length - 1].nextCursor, null);
+});
+
+test('筛选条件下翻页，汇总覆盖全部匹配条目而不只是当前页', () => {
+  const pages = collectPages({ success: false }, 2);
+  assert.deepEqual(messagesOf(pages), ['entry-9', 'entry-7', 'entry-5', 'entry-3', 'entry-1']);
+  pages.forEach(page => {
+    assert.equal(page.aggregates.total, 5);
+    assert.equal(page.aggregates.failed, 5);
+    assert.equal(page.aggregates.totalTokens, 50);
+    assert.deepEqual(page.aggregates.statuses, { 500: 5 });
+  });
+});
+
+test('状态码类别、模型与时间范围筛选', () => {
+  assert.equal(queryLogs({ status: '5xx' }).aggregates.total, 5);
+  assert.equal(queryLogs({ status: '200' }).aggregates.total, 5);
+  assert.deepEqual(queryLogs({ model: 'CLAUDE' }).aggregates.models, { 'claude-sonnet-4-5': 5 });
+  const ranged = queryLogs({ from: start + 2000, to: start + 4000 });
+  assert.deepEqual(ranged.logs.map(entry => entry.message), ['entry-4', 'entry-3', 'entry-2']);
+});
+
+test('无法解析的游标从最新一条开始', () => {
+  const page = queryLogs({}, { limit: 2, cursor: 'not-a-cursor' });
+  assert.deepEqual(page.logs.map(entry => entry.message), ['entry-9', 'entry-8']);
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
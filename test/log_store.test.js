@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 配置在导入时读取，需先指向临时目录并写好旧版日志文件再加载 log_store
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-store-'));
+const LOG_FILE = path.join(dir, 'request_logs.json');
+const SEGMENT_DIR = path.join(dir, 'request_logs_segments');
+process.env.REQUEST_LOG_FILE = LOG_FILE;
+process.env.REQUEST_LOG_MAX_ITEMS = '5';
+process.env.REQUEST_LOG_LEVEL = 'all';
+
+const now = Date.now();
+const legacyEntries = [1, 2, 3].map(index => ({
+  timestamp: new Date(now - (10 - index) * 1000).toISOString(),
+  model: 'legacy-model',
+  projectId: 'proj-legacy',
+  keyName: 'legacy-key',
+  success: true,
+  status: 200,
+  message: `legacy-${index}`
+}));
+fs.writeFileSync(LOG_FILE, JSON.stringify(legacyEntries), 'utf-8');
+
+const logStore = await import('../src/utils/log_store.js');
+
+const listSegmentFiles = () => fs.readdirSync(SEGMENT_DIR).filter(name => name.endsWith('.jsonl'));
+const readSegmentLines = () =>
+  listSegmentFiles().flatMap(name =>
+    fs.readFileSync(path.join(SEGMENT_DIR, name), 'utf-8').split('\n').filter(Boolean)
+  );
+
+const appendEntries = (count, fields = {}) => {
+  for (let index = 0; index < count; index += 1) {
+    logStore.appendLog({
+      timestamp: new Date().toISOString(),
+      model: 'gemini-2.5-flash',
+      projectId: 'proj-a',
+      keyName: 'key-a',
+      success: true,
+      status: 200,
+      totalTokens: 10,
+      message: `entry-${index}`,
+      ...fields
+    });
+  }
+};
+
+test('旧版整文件日志迁移为 JSONL 分段并补齐 id', () => {
+  const logs = logStore.readLogs();
+  assert.deepEqual(logs.map(entry => entry.message), ['legacy-1', 'legacy-2', 'legacy-3']);
+  assert.ok(logs.every(entry => typeof entry.id === 'string' && entry.id.length > 0));
+  assert.equal(fs.existsSync(LOG_FILE), false);
+  assert.equal(fs.existsSync(`${LOG_FILE}.migrated`), true);
+  assert.equal(readSegmentLines().length, 3);
+});
+
+test('超出条数上限时淘汰最早的条目，压缩后只剩一个分段', () => {
+  appendEntries(12);
+
+  const logs = logStore.readLogs();
+  assert.equal(logs.length, 5);
+  assert.deepEqual(logs.map(entry => entry.message), ['entry-7', 'entry-8', 'entry-9', 'entry-10', 'entry-11']);
+  // 追加满上限时会自动压缩一次，之后的追加行仍在磁盘上等待下一次压缩
+  assert.ok(readSegmentLines().length > 5);
+
+  assert.equal(logStore.compactLogs(), true);
+  assert.equal(listSegmentFiles().length, 1);
+  const lines = readSegmentLines().map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(entry => entry.id), logs.map(entry => entry.id));
+});
+
+test('压缩后的分段重新加载得到相同的日志', async () => {
+  const expected = logStore.readLogs().map(entry => entry.id);
+  const reloaded = await import('../src/utils/log_store.js?reload=compact');
+  assert.deepEqual(reloaded.readLogs().map(entry => entry.id), expected);
+});
+
+test('清空日志不影响账号与 API Key 的滚动用量计数', async () => {
+  const since = now - 60 * 60 * 1000;
+  const keyUsage = logStore.getKeyUsageSince('key-a', since);
+  const projectUsage = logStore.getUsageCountSince('proj-a', since);
+  // 已被条数上限淘汰的条目仍计入用量
+  assert.deepEqual(keyUsage, { requests: 12, tokens: 120 });
+  assert.equal(projectUsage, 12);
+
+  assert.equal(logStore.clearLogs(), true);
+  assert.equal(logStore.readLogs().length, 0);
+  assert.deepEqual(logStore.getKeyUsageSince('key-a', since), keyUsage);
+  assert.equal(logStore.getUsageCountSince('proj-a', since), projectUsage);
+
+  // 计数单独落盘，重启后依然存在
+  logStore.flushUsageCounters();
+  const reloaded = await import('../src/utils/log_store.js?reload=clear');
+  assert.deepEqual(reloaded.getKeyUsageSince('key-a', since), keyUsage);
+  assert.equal(reloaded.getUsageCountSince('proj-a', since), projectUsage);
+});
+
+test('count_tokens 等 budgetExempt 调用不计入 API Key 预算', () => {
+  const since = now - 60 * 60 * 1000;
+  const before = logStore.getKeyUsageSince('key-a', since);
+  appendEntries(2, { budgetExempt: true, projectId: null });
+  assert.deepEqual(logStore.getKeyUsageSince('key-a', since), before);
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
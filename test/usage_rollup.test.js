@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 汇总文件与调用日志放在同一目录，需先指向临时目录再加载 usage_rollup
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-rollup-'));
+process.env.REQUEST_LOG_FILE = path.join(dir, 'request_logs.json');
+const ROLLUP_FILE = path.join(dir, 'usage_rollups.json');
+
+const { recordUsageRollup, flushUsageRollups, getUsageRollups } = await import('../src/utils/usage_rollup.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+const at = (hoursAgo, minutes) => new Date(currentHour - hoursAgo * HOUR_MS + minutes * 60 * 1000).toISOString();
+
+const record = (timestamp, fields = {}) =>
+  recordUsageRollup({
+    timestamp,
+    model: 'gemini-2.5-pro',
+    projectId: 'proj-a',
+    keyName: 'key-a',
+    success: true,
+    promptTokens: 10,
+    completionTokens: 5,
+    reasoningTokens: 1,
+    totalTokens: 15,
+    ...fields
+  });
+
+// 两小时前：2 次成功；一小时前：无调用；当前小时：1 次失败（claude，无 keyName）
+record(at(2, 5));
+record(at(2, 55), { totalTokens: 20 });
+record(at(0, 0), { model: 'claude-sonnet-4-5', keyName: null, success: false, totalTokens: 0 });
+record('not-a-timestamp');
+
+test('按小时切分：同一小时累加，空小时补零，无效时间戳忽略', () => {
+  const result = getUsageRollups({ granularity: 'hour', from: currentHour - 2 * HOUR_MS });
+  assert.deepEqual(result.buckets.map(bucket => bucket.timestamp), [2, 1, 0].map(hours =>
+    new Date(currentHour - hours * HOUR_MS).toISOString()
+  ));
+  assert.deepEqual(result.buckets.map(bucket => bucket.requests), [2, 0, 1]);
+  assert.deepEqual(result.buckets.map(bucket => bucket.totalTokens), [35, 0, 0]);
+  assert.deepEqual(result.buckets[1].groups, {});
+  assert.deepEqual(result.totals, {
+    requests: 3,
+    success: 2,
+    failed: 1,
+    promptTokens: 30,
+    completionTokens: 15,
+    reasoningTokens: 3,
+    totalTokens: 35
+  });
+});
+
+test('groupBy 决定桶内分组，缺失的维度归入兜底标签', () => {
+  const byModel = getUsageRollups({ granularity: 'hour', groupBy: 'model', from: currentHour - 2 * HOUR_MS });
+  assert.deepEqual(byModel.groups.map(group => [group.key, group.requests]), [
+    ['gemini-2.5-pro', 2],
+    ['claude-sonnet-4-5', 1]
+  ]);
+
+  const byKey = getUsageRollups({ granularity: 'hour', groupBy: 'keyName', from: currentHour - 2 * HOUR_MS });
+  assert.deepEqual(Object.keys(byKey.buckets[2].groups), ['未知密钥']);
+});
+
+test('按天汇总按服务器本地日期分桶', () => {
+  const result = getUsageRollups({ granularity: 'day', from: currentHour - 2 * HOUR_MS });
+  const expectedDays = new Set([at(2, 5), at(0, 0)].map(timestamp => {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }));
+  assert.deepEqual(result.buckets.map(bucket => bucket.bucket), [...expectedDays]);
+  assert.equal(result.totals.requests, 3);
+});
+
+test('区间结束时间不晚于当前时间', () => {
+  const result = getUsageRollups({ granularity: 'hour', from: currentHour, to: Date.now() + 48 * HOUR_MS });
+  assert.equal(result.buckets.length, 1);
+  assert.ok(Date.parse(result.to) <= Date.now());
+});
+
+test('汇总写入独立文件', () => {
+  flushUsageRollups();
+  const saved = JSON.parse(fs.readFileSync(ROLLUP_FILE, 'utf-8'));
+  assert.equal(saved.version, 1);
+  assert.equal(saved.hour[new Date(currentHour - 2 * HOUR_MS).toISOString()].model['gemini-2.5-pro'].requests, 2);
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});